@@ -4,15 +4,40 @@
 const state = {
   length: 12,
   maxResults: 200,
-  mode4: false,
+  boards: 1, // 式数（同时进行的目标数），1 为单式，最多 MAX_BOARDS
+  rowLimit: null, // 行数上限（游戏允许的猜测次数），null 为不限
+  hardMode: false, // 困难模式：每次猜测都必须用上已揭示的提示（见 checkHardModeGuess）
+  ruleProfile: DEFAULT_RULE_PROFILE, // 规则配置名称（见 rules.js）
+  exactDivision: RULE_PROFILES[DEFAULT_RULE_PROFILE].exactDivision, // 要求每次除法都能整除
+  tolerance: null, // 容错搜索 {maxErrors, unit: "cell"|"row"}，null 为关闭
+  sample: null, // 随机抽样 {weight, seed}（见 solver.js 的 sampleCandidates），null 为按搜索顺序
+  ranking: DEFAULT_RANKING_STRATEGY, // 结果排序策略名称（见 ranking.js）
   currentInput: [], // 字符数组
   currentStates: [], // 单式模式：颜色状态数组（默认 'x'）
-  colorGrids: [[], [], [], []], // 4式模式：4组颜色状态（默认 'x'）
+  colorGrids: [], // 多式模式：每个目标一组颜色状态（默认 'x'）
   guesses: [], // 历史记录
   focusedIndex: 0,
-  cancelledRef: { value: false },
+  searchController: null, // 当前搜索的 AbortController
+  recommendController: null, // 推荐区当前计算（推荐、残局规划、决策树）的 AbortController
+  lastCandidates: null, // 最近一次搜索结果（单式为数组，多式为每个目标一个数组）
+  searchCache: null, // 上次搜索的结果与游标，用于加猜测后直接筛选、加载更多（见 getSearchEntry）
+  probeCache: null, // 决策树的非候选试探等式 {settings, probes}（见 getProbeEquations）
+  hardModeHistories: null, // 困难模式检查用的各目标历史 {key, histories}，历史或式数变化时重算（见 getHardModeHistories）
 };
 
+// 式数上限（常见变体：2、4、8、16 式）
+const MAX_BOARDS = 16;
+
+// 是否为多式模式（每次猜测对每个目标各有一组颜色）
+function isMultiBoard() {
+  return state.boards > 1;
+}
+
+// 各目标的序号 [0, 1, ..., boards - 1]
+function boardIndices(boards = state.boards) {
+  return Array.from({ length: boards }, (_, i) => i);
+}
+
 // 初始化
 document.addEventListener("DOMContentLoaded", () => {
   initializeControls();
@@ -24,7 +49,28 @@ document.addEventListener("DOMContentLoaded", () => {
 function initializeControls() {
   document.getElementById("length").value = state.length;
   document.getElementById("maxResults").value = state.maxResults;
-  document.getElementById("mode4").checked = state.mode4;
+  document.getElementById("boards").value = state.boards;
+  document.getElementById("rowLimit").value = state.rowLimit ?? "";
+  document.getElementById("exactDivision").checked = state.exactDivision;
+  document.getElementById("hardMode").checked = state.hardMode;
+
+  // 规则配置下拉框
+  const ruleSelect = document.getElementById("ruleProfile");
+  for (const [name, profile] of Object.entries(RULE_PROFILES)) {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = profile.label;
+    ruleSelect.appendChild(option);
+  }
+  ruleSelect.value = state.ruleProfile;
+
+  // 排序策略下拉框；其他脚本注册新策略后重新生成
+  renderRankingOptions();
+  document.addEventListener("rankingstrategieschange", renderRankingOptions);
+  document.getElementById("rankingStrategy").addEventListener("change", (e) => {
+    state.ranking = e.target.value;
+    rerankResults();
+  });
 
   // 监听控制变化
   document.getElementById("length").addEventListener("change", (e) => {
@@ -39,10 +85,113 @@ function initializeControls() {
     state.maxResults = parseInt(e.target.value, 10);
   });
 
-  document.getElementById("mode4").addEventListener("change", (e) => {
-    state.mode4 = e.target.checked;
-    toggleMode4Display();
+  document.getElementById("boards").addEventListener("change", (e) => {
+    const boards = parseInt(e.target.value, 10);
+    if (boards >= 1 && boards <= MAX_BOARDS) {
+      state.boards = boards;
+      initializeBoardGrids();
+      toggleBoardsDisplay();
+    } else {
+      e.target.value = state.boards;
+    }
+  });
+
+  // 行数上限：留空或非正数为不限
+  document.getElementById("rowLimit").addEventListener("change", (e) => {
+    const rowLimit = parseInt(e.target.value, 10);
+    state.rowLimit = rowLimit > 0 ? rowLimit : null;
+    e.target.value = state.rowLimit ?? "";
+    updateRowBudget();
+  });
+
+  // 容错搜索：选项值为 "unit:maxErrors"，"0" 为关闭
+  document.getElementById("tolerance").addEventListener("change", (e) => {
+    const [unit, maxErrors] = e.target.value.split(":");
+    state.tolerance = maxErrors
+      ? { unit, maxErrors: parseInt(maxErrors, 10) }
+      : null;
+  });
+
+  // 结果顺序：按搜索顺序，或按种子随机抽样；种子留空时搜索时随机生成
+  const updateSample = () => {
+    const weight = document.getElementById("resultOrder").value;
+    const seed = parseInt(document.getElementById("sampleSeed").value, 10);
+    state.sample =
+      weight === "search"
+        ? null
+        : { weight, seed: Number.isNaN(seed) ? null : seed };
+  };
+  document
+    .getElementById("resultOrder")
+    .addEventListener("change", updateSample);
+  document.getElementById("sampleSeed").addEventListener("change", updateSample);
+
+  document.getElementById("exactDivision").addEventListener("change", (e) => {
+    state.exactDivision = e.target.checked;
+  });
+
+  document.getElementById("hardMode").addEventListener("change", (e) => {
+    state.hardMode = e.target.checked;
+    renderInputGrid();
+  });
+
+  ruleSelect.addEventListener("change", (e) => {
+    state.ruleProfile = e.target.value;
+    // 切换配置时整除选项随配置默认值更新，之后仍可单独勾选
+    state.exactDivision = getRuleProfile(state.ruleProfile).exactDivision;
+    document.getElementById("exactDivision").checked = state.exactDivision;
+    renderSymbolButtons();
   });
+
+  renderSymbolButtons();
+}
+
+function renderRankingOptions() {
+  const select = document.getElementById("rankingStrategy");
+  select.innerHTML = "";
+  for (const [name, strategy] of Object.entries(RANKING_STRATEGIES)) {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = strategy.label;
+    select.appendChild(option);
+  }
+  if (!RANKING_STRATEGIES[state.ranking]) {
+    state.ranking = DEFAULT_RANKING_STRATEGY;
+  }
+  select.value = state.ranking;
+}
+
+// 当前生效的规则：所选配置 + 整除选项
+function getActiveRules() {
+  return {
+    ...getRuleProfile(state.ruleProfile),
+    exactDivision: state.exactDivision,
+  };
+}
+
+// 字符是否属于当前规则的字符集
+function isAllowedSymbol(ch) {
+  return ch.length === 1 && getSymbolSet(getActiveRules()).includes(ch);
+}
+
+// 渲染扩展符号按钮（² ³ 等无法直接用键盘输入的字符）
+function renderSymbolButtons() {
+  const container = document.getElementById("symbolButtons");
+  container.innerHTML = "";
+
+  const extraSymbols = getSymbolSet(getActiveRules())
+    .split("")
+    .filter((ch) => !DEFAULT_SYMBOLS.includes(ch));
+
+  container.style.display = extraSymbols.length > 0 ? "flex" : "none";
+
+  for (const ch of extraSymbols) {
+    const btn = document.createElement("button");
+    btn.className = "btn btn-secondary btn-small symbol-btn";
+    btn.textContent = ch;
+    btn.addEventListener("click", () => typeCharacter(ch));
+    container.appendChild(btn);
+  }
 }
 
 // 初始化输入网格
@@ -52,12 +201,6 @@ function initializeInputGrid() {
 
   state.currentInput = Array(state.length).fill("");
   state.currentStates = Array(state.length).fill("x");
-  state.colorGrids = [
-    Array(state.length).fill("x"),
-    Array(state.length).fill("x"),
-    Array(state.length).fill("x"),
-    Array(state.length).fill("x"),
-  ];
   state.focusedIndex = 0;
 
   for (let i = 0; i < state.length; i++) {
@@ -65,8 +208,8 @@ function initializeInputGrid() {
     container.appendChild(cell);
   }
 
-  // 初始化 4 式模式的颜色网格
-  initialize4ModeGrids();
+  // 初始化多式模式的颜色网格
+  initializeBoardGrids();
 
   // 聚焦第一个
   updateFocus();
@@ -84,7 +227,7 @@ function createInputCell(index) {
     state.focusedIndex = index;
     updateFocus();
 
-    if (!state.mode4) {
+    if (!isMultiBoard()) {
       cycleColor(index, false);
     }
   });
@@ -95,7 +238,7 @@ function createInputCell(index) {
     state.focusedIndex = index;
     updateFocus();
 
-    if (!state.mode4) {
+    if (!isMultiBoard()) {
       cycleColor(index, true);
     }
   });
@@ -103,24 +246,49 @@ function createInputCell(index) {
   return cell;
 }
 
-// 初始化 4 式模式颜色网格
-function initialize4ModeGrids() {
+// 初始化多式模式颜色网格（每个目标一行，随式数生成）
+function initializeBoardGrids() {
   const container = document.getElementById("colorGridsContainer");
+  container.innerHTML = "";
+  state.colorGrids = boardIndices().map(() => Array(state.length).fill("x"));
 
-  for (let gridIdx = 0; gridIdx < 4; gridIdx++) {
-    const gridDiv = container.querySelector(
-      `[data-grid="${gridIdx}"] .grid-cells`
-    );
-    gridDiv.innerHTML = "";
+  for (const gridIdx of boardIndices()) {
+    const gridRow = document.createElement("div");
+    gridRow.className = "color-grid";
+    gridRow.dataset.grid = gridIdx;
+
+    const label = document.createElement("label");
+    label.textContent = `目标 ${gridIdx + 1}：`;
+    gridRow.appendChild(label);
 
+    const gridDiv = document.createElement("div");
+    gridDiv.className = "grid-cells";
     for (let i = 0; i < state.length; i++) {
       const cell = createColorGridCell(gridIdx, i);
       gridDiv.appendChild(cell);
     }
+    gridRow.appendChild(gridDiv);
+
+    // 该目标的全绿按钮
+    const greenBtn = document.createElement("button");
+    greenBtn.className = "btn btn-success btn-small set-all-green-board";
+    greenBtn.textContent = "✓ 全绿";
+    greenBtn.addEventListener("click", () => {
+      if (state.currentInput.join("").length === state.length) {
+        state.colorGrids[gridIdx] = Array(state.length).fill("g");
+        renderBoardGrids();
+        showStatus(`目标 ${gridIdx + 1} 已设置为全绿`, "success");
+      } else {
+        showStatus("请先输入完整的等式", "warning");
+      }
+    });
+    gridRow.appendChild(greenBtn);
+
+    container.appendChild(gridRow);
   }
 }
 
-// 创建 4 式模式的颜色格子
+// 创建多式模式的颜色格子
 function createColorGridCell(gridIdx, index) {
   const cell = document.createElement("div");
   cell.className = "input-cell";
@@ -130,24 +298,24 @@ function createColorGridCell(gridIdx, index) {
 
   // 左键循环
   cell.addEventListener("click", () => {
-    cycle4ModeColor(gridIdx, index, false);
+    cycleBoardColor(gridIdx, index, false);
   });
 
   // 右键逆序循环
   cell.addEventListener("contextmenu", (e) => {
     e.preventDefault();
-    cycle4ModeColor(gridIdx, index, true);
+    cycleBoardColor(gridIdx, index, true);
   });
 
   return cell;
 }
 
-// 切换 4 式模式显示
-function toggleMode4Display() {
+// 切换单式/多式模式显示
+function toggleBoardsDisplay() {
   const colorGridsContainer = document.getElementById("colorGridsContainer");
   const singleModeActions = document.getElementById("singleModeActions");
 
-  if (state.mode4) {
+  if (isMultiBoard()) {
     colorGridsContainer.style.display = "block";
     singleModeActions.style.display = "none";
     // 清除主输入的颜色状态
@@ -175,8 +343,8 @@ function cycleColor(index, reverse = false) {
   renderInputGrid();
 }
 
-// 4 式模式颜色循环
-function cycle4ModeColor(gridIdx, index, reverse = false) {
+// 多式模式颜色循环
+function cycleBoardColor(gridIdx, index, reverse = false) {
   const states = ["x", "y", "g"];
   const currentState = state.colorGrids[gridIdx][index] || "x";
   let currentIdx = states.indexOf(currentState);
@@ -188,7 +356,7 @@ function cycle4ModeColor(gridIdx, index, reverse = false) {
   }
 
   state.colorGrids[gridIdx][index] = states[currentIdx];
-  render4ModeGrids();
+  renderBoardGrids();
 }
 
 // 渲染主输入网格
@@ -201,7 +369,7 @@ function renderInputGrid() {
 
     // 应用颜色状态（仅单式模式）
     cell.className = "input-cell";
-    if (!state.mode4) {
+    if (!isMultiBoard()) {
       const colorState = state.currentStates[i] || "x";
       cell.classList.add(`state-${colorState}`);
     }
@@ -210,11 +378,13 @@ function renderInputGrid() {
       cell.classList.add("focused");
     }
   });
+
+  updateHardModeHints();
 }
 
-// 渲染 4 式模式颜色网格
-function render4ModeGrids() {
-  for (let gridIdx = 0; gridIdx < 4; gridIdx++) {
+// 渲染多式模式颜色网格
+function renderBoardGrids() {
+  for (const gridIdx of boardIndices()) {
     const cells = document.querySelectorAll(
       `[data-grid="${gridIdx}"] .input-cell`
     );
@@ -243,23 +413,27 @@ function checkAndAutoApplySolved() {
   // 查找历史中匹配的猜测
   for (const item of state.guesses) {
     if (item.guess === currentGuess) {
-      if (state.mode4 && item.is4Mode) {
-        // 4式模式：检查每个目标是否全绿
+      if (isMultiBoard() && Array.isArray(item.patterns)) {
+        // 多式模式：检查每个目标是否全绿
         const patterns = item.patterns;
         let hasAutoApplied = false;
 
         patterns.forEach((p, idx) => {
-          if (typeof p === "string" && p.split("").every((c) => c === "g")) {
+          if (
+            idx < state.boards &&
+            typeof p === "string" &&
+            p.split("").every((c) => c === "g")
+          ) {
             state.colorGrids[idx] = Array(state.length).fill("g");
             hasAutoApplied = true;
           }
         });
 
         if (hasAutoApplied) {
-          render4ModeGrids();
+          renderBoardGrids();
           showStatus("✓ 已自动应用已解决的颜色", "info");
         }
-      } else if (!state.mode4 && !item.is4Mode) {
+      } else if (!isMultiBoard() && !Array.isArray(item.patterns)) {
         // 单式模式：检查是否全绿
         if (
           typeof item.patterns === "string" &&
@@ -275,30 +449,35 @@ function checkAndAutoApplySolved() {
   }
 }
 
+// 在当前焦点格输入字符（键盘与符号按钮共用）
+function typeCharacter(ch) {
+  state.currentInput[state.focusedIndex] = ch;
+  renderInputGrid();
+
+  // 同步到多式模式
+  if (isMultiBoard()) {
+    renderBoardGrids();
+  }
+
+  // 自动前进
+  if (state.focusedIndex < state.length - 1) {
+    state.focusedIndex++;
+    updateFocus();
+  } else {
+    // 输入完成，检查是否需要自动应用
+    checkAndAutoApplySolved();
+  }
+}
+
 document.addEventListener("keydown", (e) => {
   // 如果焦点在输入框上，跳过
   if (e.target.tagName === "INPUT") return;
 
   const key = e.key;
 
-  // 允许的字符
-  if (/^[0-9+\-*/=]$/.test(key)) {
-    state.currentInput[state.focusedIndex] = key;
-    renderInputGrid();
-
-    // 同步到 4 式模式
-    if (state.mode4) {
-      render4ModeGrids();
-    }
-
-    // 自动前进
-    if (state.focusedIndex < state.length - 1) {
-      state.focusedIndex++;
-      updateFocus();
-    } else {
-      // 输入完成，检查是否需要自动应用
-      checkAndAutoApplySolved();
-    }
+  // 允许的字符（由规则配置的字符集决定）
+  if (isAllowedSymbol(key)) {
+    typeCharacter(key);
   }
 
   // 退格
@@ -307,12 +486,12 @@ document.addEventListener("keydown", (e) => {
     if (state.currentInput[state.focusedIndex]) {
       state.currentInput[state.focusedIndex] = "";
       renderInputGrid();
-      if (state.mode4) render4ModeGrids();
+      if (isMultiBoard()) renderBoardGrids();
     } else if (state.focusedIndex > 0) {
       state.focusedIndex--;
       state.currentInput[state.focusedIndex] = "";
       updateFocus();
-      if (state.mode4) render4ModeGrids();
+      if (isMultiBoard()) renderBoardGrids();
     }
   }
 
@@ -338,7 +517,7 @@ document.addEventListener("paste", (e) => {
 
   e.preventDefault();
   const text = e.clipboardData.getData("text");
-  const validChars = text.split("").filter((ch) => /^[0-9+\-*/=]$/.test(ch));
+  const validChars = text.split("").filter(isAllowedSymbol);
 
   let idx = state.focusedIndex;
   for (const ch of validChars) {
@@ -349,7 +528,7 @@ document.addEventListener("paste", (e) => {
 
   state.focusedIndex = Math.min(idx, state.length - 1);
   renderInputGrid();
-  if (state.mode4) render4ModeGrids();
+  if (isMultiBoard()) renderBoardGrids();
 
   // 检查是否需要自动应用
   checkAndAutoApplySolved();
@@ -373,33 +552,16 @@ function initializeEventListeners() {
     }
   });
 
-  // 4式模式：全绿按钮
-  document.querySelectorAll(".set-all-green-4").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const targetIdx = parseInt(btn.dataset.target);
-      if (state.currentInput.join("").length === state.length) {
-        state.colorGrids[targetIdx] = Array(state.length).fill("g");
-        render4ModeGrids();
-        showStatus(`目标 ${targetIdx + 1} 已设置为全绿`, "success");
-      } else {
-        showStatus("请先输入完整的等式", "warning");
-      }
-    });
-  });
-
   // 清空当前输入
   document.getElementById("clearCurrent").addEventListener("click", () => {
     state.currentInput = Array(state.length).fill("");
     state.currentStates = Array(state.length).fill("x");
-    state.colorGrids = [
-      Array(state.length).fill("x"),
-      Array(state.length).fill("x"),
-      Array(state.length).fill("x"),
-      Array(state.length).fill("x"),
-    ];
+    state.colorGrids = boardIndices().map(() =>
+      Array(state.length).fill("x")
+    );
     state.focusedIndex = 0;
     renderInputGrid();
-    if (state.mode4) render4ModeGrids();
+    if (isMultiBoard()) renderBoardGrids();
   });
 
   // 清空历史
@@ -421,15 +583,112 @@ function initializeEventListeners() {
 
   // 搜索
   document.getElementById("startSearch").addEventListener("click", startSearch);
+  document
+    .getElementById("recommendGuess")
+    .addEventListener("click", showRecommendations);
+  document
+    .getElementById("planEndgame")
+    .addEventListener("click", showEndgamePlan);
+  document
+    .getElementById("decisionTree")
+    .addEventListener("click", showDecisionTrees);
   document
     .getElementById("cancelSearch")
     .addEventListener("click", cancelSearch);
+  document
+    .getElementById("cancelRecommend")
+    .addEventListener("click", cancelRecommend);
+
+  // 检查等式
+  document
+    .getElementById("explainEquation")
+    .addEventListener("click", showExplanation);
+  document.getElementById("explainInput").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") showExplanation();
+  });
 
   // 导入导出
   document.getElementById("exportState").addEventListener("click", exportState);
   document.getElementById("importState").addEventListener("click", importState);
 }
 
+// 困难模式：各未解决目标的历史 [{index, history}]（见 getTargetHistory）
+// 每次渲染输入格都会检查，按历史和式数缓存，避免逐行重算（并逐行打印日志）
+function getHardModeHistories() {
+  const key = JSON.stringify({ boards: state.boards, guesses: state.guesses });
+  if (!state.hardModeHistories || state.hardModeHistories.key !== key) {
+    const histories = (isMultiBoard() ? boardIndices() : [0])
+      .map((index) => ({ index, ...getTargetHistory(state.guesses, index) }))
+      .filter(({ solvedGuess }) => !solvedGuess)
+      .map(({ index, targetGuesses }) => ({ index, history: targetGuesses }));
+    state.hardModeHistories = { key, histories };
+  }
+  return state.hardModeHistories.histories;
+}
+
+// 困难模式下猜测违反的规则 [{position, message}]，多式时注明来自哪个目标（见 solver.js 的 findHardModeViolations）
+function checkHardModeGuess(guess, histories = getHardModeHistories()) {
+  return histories.flatMap(({ index, history }) =>
+    findHardModeViolations(guess, history).map((violation) => ({
+      ...violation,
+      message: isMultiBoard()
+        ? `目标 ${index + 1}：${violation.message}`
+        : violation.message,
+    }))
+  );
+}
+
+// 困难模式下只保留符合全部提示的猜测（见 solver.js 的 isHardModeGuess）
+function filterHardModeGuesses(guesses) {
+  if (!state.hardMode) return guesses;
+  const histories = getHardModeHistories().map(({ history }) => history);
+  return guesses.filter((guess) => isHardModeGuess(guess, histories));
+}
+
+// 困难模式下传给残局规划、决策树的各目标历史（与 targets 对应），关闭时为 null
+function getHardModeHistoriesFor(targets) {
+  if (!state.hardMode) return null;
+  const histories = getHardModeHistories();
+  return targets.map(
+    ({ index }) => histories.find((h) => h.index === index).history
+  );
+}
+
+// 在输入格下方列出当前输入违反的困难模式规则，并标出对应的格子（输入完整时才检查）
+function updateHardModeHints() {
+  const div = document.getElementById("hardModeHints");
+  const cells = document.querySelectorAll("#mainInputContainer .input-cell");
+  cells.forEach((cell) => cell.classList.remove("hard-mode-violation"));
+
+  const guess = state.currentInput.join("");
+  if (!state.hardMode || guess.length !== state.length) {
+    div.style.display = "none";
+    return;
+  }
+
+  const violations = checkHardModeGuess(guess);
+  violations.forEach(({ position }) => {
+    if (position !== null && cells[position]) {
+      cells[position].classList.add("hard-mode-violation");
+    }
+  });
+
+  if (violations.length === 0) {
+    div.style.display = "none";
+    return;
+  }
+  div.innerHTML = "";
+  const list = document.createElement("ul");
+  list.className = "explain-reasons";
+  violations.forEach(({ message }) => {
+    const item = document.createElement("li");
+    item.textContent = message;
+    list.appendChild(item);
+  });
+  div.appendChild(list);
+  div.style.display = "block";
+}
+
 // 添加当前猜测到历史
 function addCurrentGuess() {
   const guess = state.currentInput.join("");
@@ -440,15 +699,30 @@ function addCurrentGuess() {
   }
 
   // 检查是否所有字符都有效
-  if (!/^[0-9+\-*/=]+$/.test(guess)) {
-    showStatus("包含非法字符", "error");
+  if (!guess.split("").every(isAllowedSymbol)) {
+    showStatus("包含当前规则不允许的字符", "error");
     return;
   }
 
+  // 困难模式：必须用上已揭示的提示，违反的规则列在输入格下方
+  if (state.hardMode) {
+    const violations = checkHardModeGuess(guess);
+    if (violations.length > 0) {
+      updateHardModeHints();
+      showStatus(
+        `困难模式：${violations[0].message}${
+          violations.length > 1 ? ` 等 ${violations.length} 条` : ""
+        }`,
+        "error"
+      );
+      return;
+    }
+  }
+
   let patterns;
 
-  if (state.mode4) {
-    // 4 式模式：收集 4 组颜色
+  if (isMultiBoard()) {
+    // 多式模式：每个目标收集一组颜色
     patterns = state.colorGrids.map((grid) =>
       grid.map((s) => s || "x").join("")
     );
@@ -458,8 +732,8 @@ function addCurrentGuess() {
   }
 
   // 检测是否有全绿的模式（已解决）
-  // 注意：4式模式下，只要有一个目标全绿就提示，但不影响其他目标的搜索
-  const hasAllGreen = state.mode4
+  // 注意：多式模式下，只要有一个目标全绿就提示，但不影响其他目标的搜索
+  const hasAllGreen = isMultiBoard()
     ? patterns.some((p) => p.split("").every((c) => c === "g"))
     : patterns.split("").every((c) => c === "g");
 
@@ -468,12 +742,11 @@ function addCurrentGuess() {
     state.guesses.push({
       guess,
       patterns,
-      is4Mode: state.mode4,
     });
     renderHistory();
 
     // 提示哪些目标已解决
-    if (state.mode4) {
+    if (isMultiBoard()) {
       const solvedTargets = patterns
         .map((p, idx) => (p.split("").every((c) => c === "g") ? idx + 1 : null))
         .filter((t) => t !== null);
@@ -492,22 +765,28 @@ function addCurrentGuess() {
     // 【改进】自动修正已知绿色位置，而不是直接报错
     let autoFixed = false;
 
-    if (state.mode4) {
-      // 4式模式：为每个目标分别构建约束并修正
+    if (isMultiBoard()) {
+      // 多式模式：为每个目标分别构建约束并修正
       patterns.forEach((pattern, targetIdx) => {
         // 为该目标单独构建约束
         const targetGuesses = state.guesses.map((g) => ({
           guess: g.guess,
-          patterns: g.is4Mode ? g.patterns[targetIdx] : g.patterns,
+          // 单式时记录的颜色只属于目标 1（见 getTargetHistory）
+          patterns: Array.isArray(g.patterns)
+            ? g.patterns[targetIdx] || ""
+            : targetIdx === 0
+              ? g.patterns
+              : "",
           solved:
-            g.is4Mode &&
+            Array.isArray(g.patterns) &&
             g.patterns[targetIdx] &&
             g.patterns[targetIdx].split("").every((c) => c === "g"),
         }));
 
         const targetConstraints = buildConstraintsFromGuesses(
           targetGuesses,
-          state.length
+          state.length,
+          getActiveRules()
         );
         const patternArray = pattern.split("");
 
@@ -531,36 +810,25 @@ function addCurrentGuess() {
       });
 
       if (autoFixed) {
-        render4ModeGrids();
+        renderBoardGrids();
         showStatus("⚠ 已自动修正部分已知绿色位置", "warning");
       }
 
-      // 再次检查每个目标的一致性
+      // 再次检查每个目标的一致性（已解决的目标不再受新猜测影响）
       for (let targetIdx = 0; targetIdx < patterns.length; targetIdx++) {
-        const targetGuesses = state.guesses.map((g) => ({
-          guess: g.guess,
-          patterns: g.is4Mode ? g.patterns[targetIdx] : g.patterns,
-          solved:
-            g.is4Mode &&
-            g.patterns[targetIdx] &&
-            g.patterns[targetIdx].split("").every((c) => c === "g"),
-        }));
+        const { targetGuesses, solvedGuess } = getTargetHistory(
+          state.guesses,
+          targetIdx
+        );
+        if (solvedGuess) continue;
 
-        const targetConstraints = buildConstraintsFromGuesses(
+        const error = findNewGuessConflict(
           targetGuesses,
-          state.length
-        );
-        const checkResult = checkPatternConsistency(
           guess,
-          patterns[targetIdx],
-          targetConstraints
+          patterns[targetIdx]
         );
-
-        if (!checkResult.valid) {
-          showStatus(
-            `目标${targetIdx + 1}约束冲突: ${checkResult.error}`,
-            "error"
-          );
+        if (error) {
+          showStatus(`目标${targetIdx + 1}约束冲突: ${error}`, "error");
           return;
         }
       }
@@ -568,7 +836,8 @@ function addCurrentGuess() {
       // 单式模式
       const existingConstraints = buildConstraintsFromGuesses(
         state.guesses,
-        state.length
+        state.length,
+        getActiveRules()
       );
       const patternArray = patterns.split("");
 
@@ -594,17 +863,9 @@ function addCurrentGuess() {
       }
 
       // 再次检查一致性
-      const checkResult = checkPatternConsistency(
-        guess,
-        patterns,
-        existingConstraints
-      );
-
-      if (!checkResult.valid) {
-        showStatus(
-          "约束冲突: " + checkResult.error + "（请检查颜色标记）",
-          "error"
-        );
+      const error = findNewGuessConflict(state.guesses, guess, patterns);
+      if (error) {
+        showStatus("约束冲突: " + error + "（请检查颜色标记）", "error");
         return;
       }
     }
@@ -613,7 +874,6 @@ function addCurrentGuess() {
   state.guesses.push({
     guess,
     patterns,
-    is4Mode: state.mode4,
   });
 
   renderHistory();
@@ -621,72 +881,77 @@ function addCurrentGuess() {
 }
 
 // 自动应用已解决的模式（全绿）
-// 检测历史记录中的冲突
+// 检测历史记录中的冲突：对每个目标找出无法同时成立的最小一组颜色格子
+// （见 solver.js 的 findConflictCells）
+// 返回每行的冲突信息 {cells: 各目标的冲突位置 Set, messages}，无冲突的行为 null
 function detectConflicts(guesses) {
-  const conflicts = new Array(guesses.length).fill(false);
-  
-  for (let i = 0; i < guesses.length; i++) {
-    const item = guesses[i];
-    
-    if (item.is4Mode) {
-      // 4式模式：检查每个目标的冲突
-      for (let targetIdx = 0; targetIdx < 4; targetIdx++) {
-        const pattern = item.patterns[targetIdx];
-        if (hasPatternConflict(item.guess, pattern, guesses, i, targetIdx)) {
-          conflicts[i] = true;
-          break;
-        }
+  const conflicts = new Array(guesses.length).fill(null);
+  // 目标数以历史记录为准（最多颜色组的那一行），不受当前式数设置影响
+  const targets = boardIndices(
+    Math.max(
+      1,
+      ...guesses.map((g) => (Array.isArray(g.patterns) ? g.patterns.length : 1))
+    )
+  );
+
+  for (const targetIdx of targets) {
+    const { targetGuesses } = getTargetHistory(guesses, targetIdx);
+    const cells = findConflictCells(
+      targetGuesses,
+      state.length,
+      getActiveRules()
+    );
+    if (!cells) continue;
+
+    const message =
+      (targets.length > 1 ? `目标 ${targetIdx + 1}：` : "") +
+      describeConflictCells(cells, targetGuesses);
+
+    for (const { row, pos } of cells) {
+      if (!conflicts[row]) {
+        conflicts[row] = {
+          cells: targets.map(() => new Set()),
+          messages: [],
+        };
       }
-    } else {
-      // 单式模式
-      if (hasPatternConflict(item.guess, item.patterns, guesses, i)) {
-        conflicts[i] = true;
+      conflicts[row].cells[targetIdx].add(pos);
+      if (!conflicts[row].messages.includes(message)) {
+        conflicts[row].messages.push(message);
       }
     }
   }
-  
+
   return conflicts;
 }
 
-// 检查单个模式是否有冲突
-function hasPatternConflict(guess, pattern, allGuesses, currentIdx, targetIdx = null) {
-  // 提取绿色位置
-  const greens = {};
-  for (let i = 0; i < pattern.length; i++) {
-    if (pattern[i] === 'g') {
-      greens[i] = guess[i];
-    }
-  }
-  
-  // 与其他历史记录比较绿色位置
-  for (let i = 0; i < allGuesses.length; i++) {
-    if (i === currentIdx) continue;
-    
-    const other = allGuesses[i];
-    let otherPattern;
-    
-    if (targetIdx !== null && other.is4Mode) {
-      otherPattern = other.patterns[targetIdx];
-    } else if (targetIdx === null && !other.is4Mode) {
-      otherPattern = other.patterns;
-    } else {
-      continue; // 模式不匹配，跳过
-    }
-    
-    // 检查绿色位置冲突
-    for (let pos in greens) {
-      if (otherPattern[pos] === 'g' && other.guess[pos] !== greens[pos]) {
-        return true; // 发现冲突
-      }
-    }
-  }
-  
-  return false;
+// 把矛盾格子描述成文字，如"第 1 行位置 3 的 '*'（灰）、第 3 行位置 2 的 '*'（绿）不能同时成立"
+function describeConflictCells(cells, guesses) {
+  const colorNames = { g: "绿", y: "黄", x: "灰" };
+  const parts = cells.map(({ row, pos }) => {
+    const { guess, patterns } = guesses[row];
+    const pattern = Array.isArray(patterns) ? patterns[0] : patterns;
+    return `第 ${row + 1} 行位置 ${pos + 1} 的 '${guess[pos]}'（${
+      colorNames[pattern[pos]] || "灰"
+    }）`;
+  });
+  return `${parts.join("、")}不能同时成立`;
+}
+
+// 检查新猜测是否让原本自洽的历史出现矛盾，矛盾时返回说明文字，否则返回 null
+function findNewGuessConflict(guesses, guess, pattern) {
+  const rules = getActiveRules();
+  if (findConflictCells(guesses, state.length, rules)) return null;
+
+  const extended = [...guesses, { guess, patterns: pattern }];
+  const cells = findConflictCells(extended, state.length, rules);
+  return cells ? describeConflictCells(cells, extended) : null;
 }
 
 // 渲染历史记录
 function renderHistory() {
   const container = document.getElementById("historyList");
+  updateRowBudget();
+  updateHardModeHints();
 
   if (state.guesses.length === 0) {
     container.innerHTML = '<p class="empty-hint">暂无猜测记录</p>';
@@ -703,7 +968,7 @@ function renderHistory() {
     div.className = "history-item";
     if (conflicts[idx]) {
       div.classList.add("has-conflict");
-      div.title = "检测到冲突：绿色位置与其他记录不一致";
+      div.title = "检测到冲突：" + conflicts[idx].messages.join("\n");
     }
 
     // 第一行：可编辑的等式输入 + 删除按钮
@@ -727,7 +992,7 @@ function renderHistory() {
     // 输入限制
     guessInput.addEventListener("input", (e) => {
       let text = e.target.textContent;
-      text = text.replace(/[^0-9+\-*/=]/g, ""); // 只保留有效字符
+      text = text.split("").filter(isAllowedSymbol).join(""); // 只保留有效字符
       if (text.length > state.length) {
         text = text.substring(0, state.length);
       }
@@ -766,7 +1031,7 @@ function renderHistory() {
     });
 
     // 检查是否有目标已解决（全绿）
-    if (item.is4Mode && Array.isArray(item.patterns)) {
+    if (Array.isArray(item.patterns)) {
       const solvedTargets = item.patterns
         .map((p, i) => (p.split("").every((c) => c === "g") ? i + 1 : null))
         .filter((t) => t !== null);
@@ -781,7 +1046,7 @@ function renderHistory() {
         solvedBadge.style.fontSize = "0.9em";
         guessInput.appendChild(solvedBadge);
       }
-    } else if (!item.is4Mode && typeof item.patterns === "string") {
+    } else if (typeof item.patterns === "string") {
       if (item.patterns.split("").every((c) => c === "g")) {
         const solvedBadge = document.createElement("span");
         solvedBadge.className = "solved-badge";
@@ -819,53 +1084,46 @@ function renderHistory() {
     div.appendChild(headerRow);
 
     // 下方：颜色模式显示
-    if (item.is4Mode) {
-      // 4 式模式：显示 4 组颜色，分两行
-      const patterns4Mode = document.createElement("div");
-      patterns4Mode.className = "patterns-4mode";
-
-      // 第一行：目标1 和 目标2
-      const row1 = document.createElement("div");
-      row1.className = "patterns-row";
-
-      const label1 = document.createElement("span");
-      label1.className = "pattern-label";
-      label1.textContent = "目标1:";
-      row1.appendChild(label1);
-      row1.appendChild(createEditablePatternDisplay(item.patterns[0], item, 0, idx));
-
-      const label2 = document.createElement("span");
-      label2.className = "pattern-label";
-      label2.textContent = "目标2:";
-      label2.style.marginLeft = "10px";
-      row1.appendChild(label2);
-      row1.appendChild(createEditablePatternDisplay(item.patterns[1], item, 1, idx));
-
-      patterns4Mode.appendChild(row1);
-
-      // 第二行：目标3 和 目标4
-      const row2 = document.createElement("div");
-      row2.className = "patterns-row";
-
-      const label3 = document.createElement("span");
-      label3.className = "pattern-label";
-      label3.textContent = "目标3:";
-      row2.appendChild(label3);
-      row2.appendChild(createEditablePatternDisplay(item.patterns[2], item, 2, idx));
-
-      const label4 = document.createElement("span");
-      label4.className = "pattern-label";
-      label4.textContent = "目标4:";
-      label4.style.marginLeft = "10px";
-      row2.appendChild(label4);
-      row2.appendChild(createEditablePatternDisplay(item.patterns[3], item, 3, idx));
-
-      patterns4Mode.appendChild(row2);
-
-      div.appendChild(patterns4Mode);
+    if (Array.isArray(item.patterns)) {
+      // 多式模式：每个目标一组颜色，依次排开，放不下时自动换行
+      const patternsBoards = document.createElement("div");
+      patternsBoards.className = "patterns-boards";
+
+      item.patterns.forEach((pattern, targetIdx) => {
+        const targetDiv = document.createElement("div");
+        targetDiv.className = "patterns-row";
+
+        const label = document.createElement("span");
+        label.className = "pattern-label";
+        label.textContent = `目标${targetIdx + 1}:`;
+        targetDiv.appendChild(label);
+        targetDiv.appendChild(
+          createEditablePatternDisplay(
+            pattern,
+            item,
+            targetIdx,
+            idx,
+            conflicts[idx] && conflicts[idx].cells[targetIdx]
+          )
+        );
+
+        patternsBoards.appendChild(targetDiv);
+      });
+
+      div.appendChild(patternsBoards);
     } else {
       // 单式模式
-      const patternDiv = createEditablePatternDisplay(item.patterns, item, null, idx);
+      // 单式记录在多式历史中对所有目标生效，任一目标的冲突格子都标出
+      const conflictCells = conflicts[idx]
+        ? new Set(conflicts[idx].cells.flatMap((cells) => [...cells]))
+        : null;
+      const patternDiv = createEditablePatternDisplay(
+        item.patterns,
+        item,
+        null,
+        idx,
+        conflictCells
+      );
       div.appendChild(patternDiv);
     }
 
@@ -873,8 +1131,14 @@ function renderHistory() {
   });
 }
 
-// 创建可编辑的颜色模式显示
-function createEditablePatternDisplay(pattern, item, targetIdx, historyIdx) {
+// 创建可编辑的颜色模式显示（conflictCells 为需要标红的位置）
+function createEditablePatternDisplay(
+  pattern,
+  item,
+  targetIdx,
+  historyIdx,
+  conflictCells = null
+) {
   const div = document.createElement("div");
   div.className = "pattern";
 
@@ -892,6 +1156,10 @@ function createEditablePatternDisplay(pattern, item, targetIdx, historyIdx) {
     cell.style.display = "flex";
     cell.style.alignItems = "center";
     cell.style.justifyContent = "center";
+    if (conflictCells && conflictCells.has(i)) {
+      cell.classList.add("conflict-cell");
+      cell.title = "该格颜色与其他标红的格子矛盾";
+    }
     
     // 添加点击切换颜色（与主输入逻辑一致）
     cell.addEventListener("click", () => {
@@ -903,7 +1171,7 @@ function createEditablePatternDisplay(pattern, item, targetIdx, historyIdx) {
       else newColor = 'x';
       
       // 更新数据
-      if (item.is4Mode && targetIdx !== null) {
+      if (Array.isArray(item.patterns) && targetIdx !== null) {
         const patternArr = item.patterns[targetIdx].split('');
         patternArr[i] = newColor;
         item.patterns[targetIdx] = patternArr.join('');
@@ -927,7 +1195,7 @@ function createEditablePatternDisplay(pattern, item, targetIdx, historyIdx) {
       else newColor = 'x';
       
       // 更新数据
-      if (item.is4Mode && targetIdx !== null) {
+      if (Array.isArray(item.patterns) && targetIdx !== null) {
         const patternArr = item.patterns[targetIdx].split('');
         patternArr[i] = newColor;
         item.patterns[targetIdx] = patternArr.join('');
@@ -947,7 +1215,7 @@ function createEditablePatternDisplay(pattern, item, targetIdx, historyIdx) {
   return div;
 }
 
-// 创建颜色模式显示（只读，保留用于导出等场景）
+// 创建颜色模式显示（只读，用于决策树等场景）
 function createPatternDisplay(pattern, guess) {
   const div = document.createElement("div");
   div.className = "pattern";
@@ -973,21 +1241,152 @@ function createPatternDisplay(pattern, guess) {
 }
 
 // 开始搜索
+// 长搜索提醒阈值（毫秒）：预计耗时超过它时先让用户确认
+const LONG_SEARCH_WARNING_MS = 30000;
+
+// 估计一组历史对应的候选数与搜索耗时（在 Worker 中进行，见 solver-client.js 的 runEstimate）
+async function estimateSearch(history) {
+  const constraints = buildConstraintsFromGuesses(
+    history,
+    state.length,
+    getActiveRules()
+  );
+  const estimate = await runEstimate(constraints, {
+    length: state.length,
+    history,
+    rules: getActiveRules(),
+    tolerance: state.tolerance,
+  });
+  console.log("搜索估计:", estimate);
+  return estimate;
+}
+
+// 搜索会在找到 maxResults 个候选时停止，按比例折算出预计需要探索的节点数
+// 候选数无法估计时按完整枚举计算（只用于进度条）
+function expectedSearchNodes(estimate) {
+  // 抽样只在随机探测阶段报告进度，按探测次数计算
+  if (state.sample) return SAMPLE_WALKS;
+  if (estimate.estimate !== null && estimate.estimate > state.maxResults) {
+    return (estimate.nodes * state.maxResults) / estimate.estimate;
+  }
+  return estimate.nodes;
+}
+
+// 候选数无法估计时不知道多久能找到"最大结果"个，耗时当作无上限
+function expectedSearchMs(estimate) {
+  if (estimate.estimate === null) return Infinity;
+  return (
+    (estimate.estimatedMs * expectedSearchNodes(estimate)) /
+    Math.max(estimate.nodes, 1)
+  );
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} 秒`;
+  if (ms < 3600000) return `${(ms / 60000).toFixed(1)} 分钟`;
+  return `${(ms / 3600000).toFixed(1)} 小时`;
+}
+
+// 搜索开始前进度条上的说明
+function formatSearchPlan(estimate, cached) {
+  if (cached) return "由上次的完整结果筛选";
+  if (state.sample) return `随机抽样（种子 ${state.sample.seed}）`;
+  return estimate ? formatEstimate(estimate) : "已解决";
+}
+
+function formatEstimate(estimate) {
+  if (estimate.exact) {
+    return `共 ${estimate.estimate.toLocaleString()} 个候选`;
+  }
+  if (estimate.estimate === null) {
+    return `候选数无法估计（随机探测没有命中，至少 ${estimate.low.toLocaleString()} 个），完整枚举约 ${formatDuration(
+      estimate.estimatedMs
+    )}`;
+  }
+  const range = `${estimate.low.toLocaleString()}–${estimate.high.toLocaleString()}`;
+  return `估计约 ${estimate.estimate.toLocaleString()} 个候选（95% 区间 ${range}），完整枚举约 ${formatDuration(
+    estimate.estimatedMs
+  )}`;
+}
+
 async function startSearch() {
   if (state.guesses.length === 0) {
     showStatus("请先添加至少一个猜测", "warning");
     return;
   }
 
-  // 重置取消标志
-  state.cancelledRef.value = false;
+  // 长度、规则或容错设置变化后，上次的结果不再可用
+  const settings = getSearchSettingsKey();
+  if (!state.searchCache || state.searchCache.settings !== settings) {
+    state.searchCache = { settings, slots: {} };
+  }
+
+  // 抽样没有指定种子时随机生成一个并填回输入框，方便复现
+  if (state.sample && state.sample.seed === null) {
+    state.sample.seed = Math.floor(Math.random() * 1000000);
+    document.getElementById("sampleSeed").value = state.sample.seed;
+  }
+
+  // 上次结果完整时直接筛选；其余的先估计候选数与耗时，预计很久时让用户确认
+  // （多式模式各目标并行，取最慢的；抽样有固定的预算，不需要估计）
+  // 估计在 Worker 中进行，期间禁用开始按钮，避免重复点击
+  const cached = [];
+  let estimates;
+  const startButton = document.getElementById("startSearch");
+  startButton.disabled = true;
+  showStatus("正在估计搜索规模...", "info");
+  try {
+    if (isMultiBoard()) {
+      estimates = await Promise.all(
+        boardIndices().map((targetIdx) => {
+          const { targetGuesses, solvedGuess } = getTargetHistory(
+            state.guesses,
+            targetIdx
+          );
+          if (solvedGuess) return null;
+          cached[targetIdx] = getCachedCandidates(targetIdx, targetGuesses);
+          return cached[targetIdx] || state.sample
+            ? null
+            : estimateSearch(targetGuesses);
+        })
+      );
+    } else {
+      cached[0] = getCachedCandidates("single", state.guesses);
+      estimates = [
+        cached[0] || state.sample ? null : await estimateSearch(state.guesses),
+      ];
+    }
+  } catch (error) {
+    showStatus("估计搜索规模出错: " + error.message, "error");
+    return;
+  } finally {
+    startButton.disabled = false;
+  }
+
+  const slowestMs = Math.max(
+    0,
+    ...estimates.filter(Boolean).map(expectedSearchMs)
+  );
+  if (
+    slowestMs > LONG_SEARCH_WARNING_MS &&
+    !confirm(
+      `${
+        slowestMs === Infinity
+          ? "候选数无法估计（随机探测没有命中），搜索耗时未知"
+          : `预计搜索需要约 ${formatDuration(slowestMs)}`
+      }，确定开始吗？\n（可以减小"最大结果"，或先添加更多猜测缩小范围）`
+    )
+  ) {
+    return;
+  }
+
+  // 每次搜索使用新的取消信号；上一次搜索可能还在后台统计总数，一并放弃
+  if (state.searchController) state.searchController.abort();
+  state.searchController = new AbortController();
 
   // UI 更新
-  document.getElementById("startSearch").style.display = "none";
-  const cancelBtn = document.getElementById("cancelSearch");
-  cancelBtn.style.display = "inline-block";
-  cancelBtn.disabled = false;
-  cancelBtn.textContent = "取消搜索";
+  setSearchRunning(true);
   showStatus("正在搜索候选...", "info");
 
   // 清空结果容器
@@ -997,97 +1396,376 @@ async function startSearch() {
   const startTime = Date.now();
 
   try {
-    if (state.mode4) {
-      // 4 式模式
-      console.log("=== 4式模式调试 ===");
+    if (isMultiBoard()) {
+      // 多式模式
+      console.log(`=== ${state.boards}式模式调试 ===`);
       console.log("猜测历史:", state.guesses);
 
-      await search4ModeAsync(startTime);
+      await searchBoardsAsync(startTime, estimates, cached);
     } else {
       // 单式模式
-      await searchSingleModeAsync(startTime);
+      await searchSingleModeAsync(startTime, estimates[0], cached[0]);
     }
+    // 有了候选数，剩余行数的提示可以更准确
+    updateRowBudget();
   } catch (error) {
     showStatus("搜索出错: " + error.message, "error");
     console.error(error);
   } finally {
-    document.getElementById("startSearch").style.display = "inline-block";
-    cancelBtn.style.display = "none";
-    cancelBtn.disabled = false;
-    cancelBtn.textContent = "取消搜索";
+    setSearchRunning(false);
   }
 }
 
-// 单式模式异步搜索
-async function searchSingleModeAsync(startTime) {
-  const constraints = buildConstraintsFromGuesses(state.guesses, state.length);
-  console.log("=== 单式模式调试 ===");
-  console.log("约束:", constraints);
+// 切换开始/取消按钮；搜索进行中时禁用"加载更多"，同一时间只跑一个搜索
+function setSearchRunning(running) {
+  document.getElementById("startSearch").style.display = running
+    ? "none"
+    : "inline-block";
+  const cancelBtn = document.getElementById("cancelSearch");
+  cancelBtn.style.display = running ? "inline-block" : "none";
+  cancelBtn.disabled = false;
+  cancelBtn.textContent = "取消搜索";
 
-  // 估算搜索空间
-  const estimatedSpace = estimateSearchSpace(constraints, state.length);
-  console.log("估算搜索空间:", estimatedSpace);
+  document.querySelectorAll(".load-more-btn").forEach((button) => {
+    button.disabled = running;
+  });
+}
 
-  // 显示进度条
-  const progressDiv = document.getElementById("searchProgress");
-  const progressBar = document.getElementById("progressBar");
-  const progressText = document.getElementById("progressText");
-  progressDiv.style.display = "block";
-  progressBar.style.width = "0%";
-  progressText.textContent = `估算搜索空间: ${estimatedSpace.toLocaleString()}`;
+// 搜索缓存的设置标识：长度、规则、容错任一变化都要重新搜索
+function getSearchSettingsKey() {
+  return JSON.stringify({
+    length: state.length,
+    rules: getActiveRules(),
+    tolerance: state.tolerance,
+  });
+}
 
-  // 初始化结果容器
-  const resultsContainer = document.getElementById("resultsContainer");
-  resultsContainer.innerHTML = "";
+// 若上次在同一位置（"single" 或目标下标）的搜索是完整的，且当时的历史是当前历史的前缀，
+// 直接用精确反馈筛选上次的结果（见 solver.js 的 filterCandidates）；否则返回 null
+function getCachedCandidates(slot, history) {
+  const entry = state.searchCache && state.searchCache.slots[slot];
+  if (!entry || !entry.complete) return null;
+  if (entry.history.length > history.length) return null;
 
-  const group = document.createElement("div");
-  group.className = "results-group";
-  group.id = "single-mode-results";
+  const isPrefix = entry.history.every(
+    (row, i) => JSON.stringify(row) === JSON.stringify(history[i])
+  );
+  if (!isPrefix) return null;
 
-  const title = document.createElement("h3");
-  title.textContent = "搜索中...";
-  group.appendChild(title);
+  const results = filterCandidates(entry.results, history, {
+    tolerance: state.tolerance,
+  });
+  console.log(
+    `由上次 ${entry.results.length} 个完整结果筛选出 ${results.length} 个候选`
+  );
+  return results;
+}
 
-  const list = document.createElement("div");
-  list.className = "results-list";
-  group.appendChild(list);
+// 记录本次结果、继续搜索用的游标（见 solver.js 的 collectCandidates）与候选总数
+// 被 maxResults 截断或被取消的结果不完整，之后不能用来筛选，但有游标时可以加载更多；
+// 抽样的结果通常也不完整，且没有游标
+function storeSearchCache(
+  slot,
+  history,
+  results,
+  cursor,
+  count,
+  complete = cursor === null
+) {
+  state.searchCache.slots[slot] = {
+    history: JSON.parse(JSON.stringify(history)),
+    results,
+    cursor,
+    complete,
+    count,
+  };
+  return state.searchCache.slots[slot];
+}
 
-  resultsContainer.appendChild(group);
+// 某个位置（"single" 或目标下标）对应的当前历史
+function getSlotHistory(slot) {
+  return slot === "single"
+    ? state.guesses
+    : getTargetHistory(state.guesses, slot).targetGuesses;
+}
 
-  // 使用异步版本
-  const results = await generateCandidatesAsync(constraints, {
-    length: state.length,
-    maxResults: state.maxResults,
-    cancelledRef: state.cancelledRef,
-    estimatedSpace: estimatedSpace, // 传入估算空间
-    onProgress: (progress) => {
-      // 更新进度条 - 根据估算空间计算真实百分比
-      const percent = Math.min(
-        100,
-        (progress.explored / Math.max(estimatedSpace, 1)) * 100
-      );
-      progressBar.style.width = percent.toFixed(1) + "%";
-      progressText.textContent = `进度: ${percent.toFixed(
-        1
-      )}% | 已探索: ${progress.explored.toLocaleString()} | 已找到: ${
-        progress.found
-      } 个`;
+// 取出与当前设置、当前历史都一致的缓存结果，没有时返回 null
+function getSearchEntry(slot) {
+  if (
+    !state.searchCache ||
+    state.searchCache.settings !== getSearchSettingsKey()
+  ) {
+    return null;
+  }
+  const entry = state.searchCache.slots[slot];
+  if (!entry) return null;
+  return JSON.stringify(entry.history) === JSON.stringify(getSlotHistory(slot))
+    ? entry
+    : null;
+}
 
-      // 流式输出：每找到一个新结果就立即显示
-      if (progress.newResult) {
-        title.textContent = `已找到 ${progress.found} 个候选（搜索中...）`;
+// 在结果组末尾加"加载更多"按钮，从上次停下的位置继续搜索
+function appendLoadMoreButton(group, slot) {
+  const button = document.createElement("button");
+  button.className = "btn btn-secondary load-more-btn";
+  button.textContent = "加载更多";
+  button.title = "从上次停下的位置继续搜索";
+  button.addEventListener("click", () => loadMoreResults(slot, group));
+  group.appendChild(button);
+}
 
-        const item = document.createElement("div");
-        item.className = "result-item";
-        item.textContent = progress.newResult;
-        item.title = "点击复制";
-        item.addEventListener("click", () => copyResultToClipboard(item));
-        list.appendChild(item);
+// 继续搜索下一页（最多 maxResults 个），结果追加到该组末尾；取消时保留新的游标
+async function loadMoreResults(slot, group) {
+  const entry = getSearchEntry(slot);
+  if (!entry || !entry.cursor) {
+    showStatus("历史或设置已变化，请重新搜索", "warning");
+    return;
+  }
+
+  const title = group.querySelector("h3");
+  const list = group.querySelector(".results-list");
+  const button = group.querySelector(".load-more-btn");
+  const prefix = slot === "single" ? "" : `目标 ${slot + 1}：`;
+  const emptyHint = list.querySelector(".empty-hint");
+  if (emptyHint) emptyHint.remove();
+
+  state.searchController = new AbortController();
+  setSearchRunning(true);
+  button.textContent = "加载中...";
+  showStatus("正在继续搜索...", "info");
+
+  const startTime = Date.now();
+  const shown = entry.results.length;
+
+  try {
+    const { results, cursor } = await runSearch(
+      buildConstraintsFromGuesses(
+        entry.history,
+        state.length,
+        getActiveRules()
+      ),
+      {
+        length: state.length,
+        maxResults: state.maxResults,
+        signal: state.searchController.signal,
+        rules: getActiveRules(),
+        history: entry.history,
+        tolerance: state.tolerance,
+        cursor: entry.cursor,
+        onProgress: (progress) => {
+          if (!progress.newResult) return;
+          title.textContent = `${prefix}已找到 ${
+            shown + progress.found
+          } 个候选（继续搜索中...）`;
+          list.appendChild(
+            createResultItem(progress.newResult, entry.history)
+          );
+        },
       }
-    },
+    );
+
+    entry.results = entry.results.concat(results);
+    entry.cursor = cursor;
+    entry.complete = cursor === null;
+    if (cursor === null) {
+      entry.count = {
+        count: entry.results.length,
+        exact: true,
+        method: "search",
+      };
+    }
+
+    if (slot === "single") {
+      state.lastCandidates = entry.results;
+    } else if (state.lastCandidates) {
+      state.lastCandidates[slot] = entry.results;
+    }
+    rerankResults();
+
+    title.textContent =
+      prefix + formatResultsTitle(entry.results.length, entry.count);
+    showStatus(
+      `${
+        state.searchController.signal.aborted ? "已取消，" : ""
+      }新加载 ${results.length} 个候选，用时 ${Date.now() - startTime}ms${
+        cursor === null ? "，已全部找到" : ""
+      }`,
+      state.searchController.signal.aborted ? "warning" : "success"
+    );
+  } catch (error) {
+    showStatus("搜索出错: " + error.message, "error");
+    console.error(error);
+  } finally {
+    setSearchRunning(false);
+    if (entry.cursor) {
+      button.textContent = "加载更多";
+    } else {
+      button.remove();
+    }
+  }
+}
+
+// 导入后显示保存的结果；未完成的搜索可以点"加载更多"继续
+function renderSavedResults() {
+  const slots = isMultiBoard() ? boardIndices() : ["single"];
+  const entries = slots.map(getSearchEntry);
+  if (!entries.some(Boolean)) return;
+
+  const resultsContainer = document.getElementById("resultsContainer");
+  resultsContainer.innerHTML = "";
+
+  state.lastCandidates = slots.map((slot, i) => {
+    const entry = entries[i];
+    const prefix = slot === "single" ? "" : `目标 ${slot + 1}：`;
+    const solvedGuess =
+      slot === "single"
+        ? null
+        : getTargetHistory(state.guesses, slot).solvedGuess;
+    const results = solvedGuess
+      ? [solvedGuess.guess]
+      : entry
+      ? entry.results
+      : [];
+
+    const group = document.createElement("div");
+    group.className = "results-group";
+    group.id = slot === "single" ? "single-mode-results" : `target-${slot}`;
+
+    const title = document.createElement("h3");
+    title.textContent =
+      prefix +
+      (solvedGuess
+        ? "已解决"
+        : entry
+        ? formatResultsTitle(results.length, entry.count)
+        : "没有保存的结果");
+    group.appendChild(title);
+
+    const list = document.createElement("div");
+    list.className = "results-list";
+    results.forEach((expr) =>
+      list.appendChild(createResultItem(expr, getSlotHistory(slot)))
+    );
+    group.appendChild(list);
+
+    if (!solvedGuess && entry && entry.cursor) {
+      appendLoadMoreButton(group, slot);
+    }
+
+    resultsContainer.appendChild(group);
+    return results;
   });
 
+  if (!isMultiBoard()) state.lastCandidates = state.lastCandidates[0];
+  rerankResults();
+}
+
+// 单式模式异步搜索（cached 为从上次结果筛选出的候选，有则不再搜索）
+async function searchSingleModeAsync(startTime, estimate, cached) {
+  const constraints = buildConstraintsFromGuesses(
+    state.guesses,
+    state.length,
+    getActiveRules()
+  );
+  console.log("=== 单式模式调试 ===");
+  console.log("约束:", constraints);
+
+  // 进度按预计需要探索的节点数计算
+  const expectedNodes = cached ? 0 : expectedSearchNodes(estimate);
+
+  // 显示进度条
+  const progressDiv = document.getElementById("searchProgress");
+  const progressBar = document.getElementById("progressBar");
+  const progressText = document.getElementById("progressText");
+  progressDiv.style.display = "block";
+  progressBar.style.width = "0%";
+  progressText.textContent = formatSearchPlan(estimate, cached);
+
+  // 初始化结果容器
+  const resultsContainer = document.getElementById("resultsContainer");
+  resultsContainer.innerHTML = "";
+
+  const group = document.createElement("div");
+  group.className = "results-group";
+  group.id = "single-mode-results";
+
+  const title = document.createElement("h3");
+  title.textContent = "搜索中...";
+  group.appendChild(title);
+
+  const list = document.createElement("div");
+  list.className = "results-list";
+  group.appendChild(list);
+
+  resultsContainer.appendChild(group);
+
+  // 候选总数（不受 maxResults 限制），由 Worker 在返回结果之后给出，到达时补上标题与缓存
+  let countInfo = null;
+  let entry = null;
+
+  let results;
+  let cursor = null;
+  let complete = true;
+  if (cached) {
+    // 上次结果完整，筛选出的就是全部候选
+    results = cached;
+    results.forEach((expr) =>
+      list.appendChild(createResultItem(expr, state.guesses))
+    );
+    countInfo = { count: results.length, exact: true, method: "cache" };
+  } else {
+    // 在 Worker 中搜索（见 solver-client.js）
+    ({ results, cursor, complete } = await runSearch(constraints, {
+      length: state.length,
+      maxResults: state.maxResults,
+      signal: state.searchController.signal,
+      rules: getActiveRules(),
+      history: state.guesses,
+      tolerance: state.tolerance,
+      sample: state.sample,
+      onCount: (count) => {
+        countInfo = count;
+        if (entry) {
+          entry.count = count;
+          title.textContent = formatResultsTitle(results.length, count);
+        }
+      },
+      onProgress: (progress) => {
+        // 更新进度条 - 根据预计节点数计算百分比
+        const percent = Math.min(
+          100,
+          (progress.explored / Math.max(expectedNodes, 1)) * 100
+        );
+        progressBar.style.width = percent.toFixed(1) + "%";
+        progressText.textContent = `进度: ${percent.toFixed(
+          1
+        )}% | 已探索: ${progress.explored.toLocaleString()} | 已找到: ${
+          progress.found
+        } 个`;
+
+        // 流式输出：每找到一个新结果就立即显示
+        if (progress.newResult) {
+          title.textContent = `已找到 ${progress.found} 个候选（搜索中...）`;
+          list.appendChild(
+            createResultItem(progress.newResult, state.guesses)
+          );
+        }
+      },
+    }));
+  }
+
+  entry = storeSearchCache(
+    "single",
+    state.guesses,
+    results,
+    cursor,
+    countInfo,
+    complete
+  );
+
   console.log("搜索结果:", results);
+  state.lastCandidates = results;
+  rerankResults();
 
   // 搜索完成，强制进度条到100%
   progressBar.style.width = "100%";
@@ -1098,15 +1776,21 @@ async function searchSingleModeAsync(startTime) {
     progressDiv.style.display = "none";
   }, 1000);
 
-  // 更新最终标题
-  title.textContent = `找到 ${results.length} 个候选`;
+  // 更新最终标题（结果被截断时总数稍后才到）
+  title.textContent = formatResultsTitle(results.length, countInfo);
+  if (!countInfo && cursor && !state.searchController.signal.aborted) {
+    title.textContent += "（正在统计总数...）";
+  }
 
   const meta = document.createElement("div");
   meta.className = "result-meta";
   meta.textContent = `用时: ${Date.now() - startTime}ms`;
   group.appendChild(meta);
 
-  if (state.cancelledRef.value) {
+  // 被 maxResults 截断或被取消时可以从停下的位置继续
+  if (cursor) appendLoadMoreButton(group, "single");
+
+  if (state.searchController.signal.aborted) {
     showStatus("搜索已取消，找到 " + results.length + " 个候选", "warning");
   } else {
     showStatus(
@@ -1118,29 +1802,46 @@ async function searchSingleModeAsync(startTime) {
   }
 }
 
-// 4式模式异步搜索
-async function search4ModeAsync(startTime) {
+// 多式模式异步搜索
+async function searchBoardsAsync(startTime, estimates, cached) {
   const resultsContainer = document.getElementById("resultsContainer");
   resultsContainer.innerHTML = "";
 
-  // 显示4式进度条
-  const progressDiv4 = document.getElementById("searchProgress4");
-  progressDiv4.style.display = "grid";
+  // 显示多式进度条：每个目标一个
+  const progressDivBoards = document.getElementById("searchProgressBoards");
+  progressDivBoards.innerHTML = "";
+  progressDivBoards.style.display = "grid";
 
-  // 初始化所有进度条
-  for (let i = 0; i < 4; i++) {
-    const progressItem = progressDiv4.querySelector(`[data-target="${i}"]`);
-    const progressBar = progressItem.querySelector(".progress-bar");
-    const progressText = progressItem.querySelector(".progress-text");
+  for (const i of boardIndices()) {
+    const progressItem = document.createElement("div");
+    progressItem.className = "progress-item";
+    progressItem.dataset.target = i;
+
+    const label = document.createElement("label");
+    label.textContent = `目标 ${i + 1}：`;
+    progressItem.appendChild(label);
+
+    const barContainer = document.createElement("div");
+    barContainer.className = "progress-bar-container";
+    const progressBar = document.createElement("div");
+    progressBar.className = "progress-bar";
     progressBar.style.width = "0%";
-    progressText.textContent = "准备搜索...";
+    barContainer.appendChild(progressBar);
+    progressItem.appendChild(barContainer);
+
+    const progressText = document.createElement("div");
+    progressText.className = "progress-text";
+    progressText.textContent = formatSearchPlan(estimates[i], cached[i]);
+    progressItem.appendChild(progressText);
+
+    progressDivBoards.appendChild(progressItem);
   }
 
-  // 创建4个目标的占位容器
+  // 创建每个目标的占位容器
   const targetGroups = [];
   const targetLists = [];
 
-  for (let i = 0; i < 4; i++) {
+  for (const i of boardIndices()) {
     const group = document.createElement("div");
     group.className = "results-group";
     group.id = `target-${i}`;
@@ -1158,18 +1859,42 @@ async function search4ModeAsync(startTime) {
     targetLists.push(list);
   }
 
-  // 同时搜索4个目标
+  // 同时搜索所有目标
   const promises = [];
-  const completedCounts = [0, 0, 0, 0];
+  const completedCounts = boardIndices().map(() => 0);
+  const candidateCounts = boardIndices().map(() => null);
+  let results = null;
+
+  // 目标标题；总数可能在全部目标搜索结束之后才到达，届时再次更新
+  const updateTargetTitle = (idx) => {
+    const title = targetGroups[idx].querySelector("h3");
+    title.textContent = `目标 ${idx + 1}：${formatResultsTitle(
+      results[idx].length,
+      candidateCounts[idx]
+    )}`;
+    const entry = getSearchEntry(idx);
+    if (!candidateCounts[idx] && entry && entry.cursor) {
+      title.textContent += "（正在统计总数...）";
+    }
+  };
 
-  for (let targetIdx = 0; targetIdx < 4; targetIdx++) {
+  for (const targetIdx of boardIndices()) {
     const promise = searchSingleTargetAsync(targetIdx, state.guesses, {
       length: state.length,
       maxResults: state.maxResults,
-      cancelledRef: state.cancelledRef,
+      signal: state.searchController.signal,
+      rules: getActiveRules(),
+      tolerance: state.tolerance,
+      sample: state.sample,
+      estimate: estimates[targetIdx],
+      cached: cached[targetIdx],
+      onTargetCount: (count) => {
+        candidateCounts[targetIdx] = count;
+        if (results) updateTargetTitle(targetIdx);
+      },
       onTargetProgress: (progress) => {
         // 更新该目标的进度条
-        const progressItem = progressDiv4.querySelector(
+        const progressItem = progressDivBoards.querySelector(
           `[data-target="${targetIdx}"]`
         );
         const progressBar = progressItem.querySelector(".progress-bar");
@@ -1180,11 +1905,10 @@ async function search4ModeAsync(startTime) {
           progressBar.style.width = "100%";
           progressText.textContent = `100% | 找到: ${progress.found}`;
         } else {
-          // 根据估算空间计算真实百分比
+          // 根据预计节点数计算百分比
           const percent = Math.min(
             100,
-            (progress.explored / Math.max(progress.estimatedSpace || 1, 1)) *
-              100
+            (progress.explored / Math.max(progress.expectedNodes || 1, 1)) * 100
           );
           progressBar.style.width = percent.toFixed(1) + "%";
           progressText.textContent = `${percent.toFixed(1)}% | 找到: ${
@@ -1206,12 +1930,9 @@ async function search4ModeAsync(startTime) {
 
         // 流式输出：每找到一个新结果就立即显示
         if (progress.newResult) {
-          const item = document.createElement("div");
-          item.className = "result-item";
-          item.textContent = progress.newResult;
-          item.title = "点击复制";
-          item.addEventListener("click", () => copyResultToClipboard(item));
-          targetLists[targetIdx].appendChild(item);
+          targetLists[targetIdx].appendChild(
+            createResultItem(progress.newResult, progress.history)
+          );
           completedCounts[targetIdx] = progress.found;
         }
       },
@@ -1220,17 +1941,18 @@ async function search4ModeAsync(startTime) {
     promises.push(promise);
   }
 
-  const results = await Promise.all(promises);
+  results = await Promise.all(promises);
+  state.lastCandidates = results;
+  rerankResults();
 
   // 短暂延迟后隐藏进度条，让用户看到100%完成
   setTimeout(() => {
-    progressDiv4.style.display = "none";
+    progressDivBoards.style.display = "none";
   }, 1000);
 
   // 更新最终标题和元数据
   results.forEach((candidates, idx) => {
-    const title = targetGroups[idx].querySelector("h3");
-    title.textContent = `目标 ${idx + 1}：找到 ${candidates.length} 个候选`;
+    updateTargetTitle(idx);
 
     // 如果没有结果，显示提示
     if (candidates.length === 0) {
@@ -1240,6 +1962,9 @@ async function search4ModeAsync(startTime) {
       targetLists[idx].innerHTML = "";
       targetLists[idx].appendChild(empty);
     }
+
+    const entry = getSearchEntry(idx);
+    if (entry && entry.cursor) appendLoadMoreButton(targetGroups[idx], idx);
   });
 
   // 元数据显示在结果容器外部
@@ -1252,7 +1977,7 @@ async function search4ModeAsync(startTime) {
     resultsContainer.nextSibling
   );
 
-  if (state.cancelledRef.value) {
+  if (state.searchController.signal.aborted) {
     showStatus("搜索已取消", "warning");
   } else {
     const totalFound = results.reduce((sum, r) => sum + r.length, 0);
@@ -1263,19 +1988,25 @@ async function search4ModeAsync(startTime) {
   }
 }
 
-// 搜索单个目标（异步版本）
-async function searchSingleTargetAsync(targetIdx, guesses, options) {
-  console.log(`\n--- 目标 ${targetIdx + 1} ---`);
-
-  // 检查是否已经有全绿的猜测（已解决）
+// 取出某个目标的猜测历史：该目标全绿之后的猜测标记为跳过
+// 返回 {targetGuesses, solvedGuess}，solvedGuess 为该目标全绿的那次猜测（未解决时为 null）
+function getTargetHistory(guesses, targetIdx) {
   let alreadySolved = false;
 
   const targetGuesses = guesses.map(({ guess, patterns }) => {
-    const pattern = Array.isArray(patterns) ? patterns[targetIdx] : patterns;
+    // 记录的目标数少于当前式数时（如中途改了式数），缺少的颜色当作没有反馈；
+    // 单式时记录的颜色（字符串）只属于目标 1
+    const pattern =
+      (Array.isArray(patterns)
+        ? patterns[targetIdx]
+        : targetIdx === 0
+          ? patterns
+          : "") || "";
     console.log(`  猜测: ${guess}, 模式: ${pattern}`);
 
     // 检查该目标是否全绿（已解决）
-    const isSolved = pattern.split("").every((c) => c === "g");
+    const isSolved =
+      pattern.length > 0 && pattern.split("").every((c) => c === "g");
 
     // 如果之前已经解决，后续猜测都标记为solved跳过
     if (alreadySolved) {
@@ -1300,34 +2031,93 @@ async function searchSingleTargetAsync(targetIdx, guesses, options) {
     };
   });
 
+  const solvedGuess = alreadySolved
+    ? targetGuesses.find((g) => g.solved && !g.skipped) || null
+    : null;
+  return { targetGuesses, solvedGuess };
+}
+
+// 搜索单个目标：整理该目标的历史与约束后交给搜索客户端（solver-client.js）
+async function searchSingleTargetAsync(targetIdx, guesses, options) {
+  console.log(`\n--- 目标 ${targetIdx + 1} ---`);
+
+  const { targetGuesses, solvedGuess } = getTargetHistory(guesses, targetIdx);
+
   // 如果已解决，直接返回那个答案
-  if (alreadySolved) {
-    const solvedGuess = targetGuesses.find((g) => g.solved && !g.skipped);
-    if (solvedGuess) {
-      console.log(`  目标已解决，答案: ${solvedGuess.guess}`);
-      return [solvedGuess.guess];
+  if (solvedGuess) {
+    console.log(`  目标已解决，答案: ${solvedGuess.guess}`);
+    if (options.onTargetCount) {
+      options.onTargetCount({ count: 1, exact: true, method: "solved" });
     }
+    return [solvedGuess.guess];
+  }
+
+  // 上次结果完整，筛选出的就是全部候选
+  if (options.cached) {
+    const candidates = options.cached;
+    if (options.onTargetCount) {
+      options.onTargetCount({
+        count: candidates.length,
+        exact: true,
+        method: "cache",
+      });
+    }
+    if (options.onTargetProgress) {
+      candidates.forEach((expr, i) =>
+        options.onTargetProgress({
+          found: i + 1,
+          explored: 0,
+          newResult: expr,
+          history: targetGuesses,
+          targetIdx,
+        })
+      );
+      options.onTargetProgress({
+        found: candidates.length,
+        targetIdx,
+        completed: true,
+      });
+    }
+    storeSearchCache(targetIdx, targetGuesses, candidates, null, {
+      count: candidates.length,
+      exact: true,
+      method: "cache",
+    });
+    return candidates;
   }
 
   const constraints = buildConstraintsFromGuesses(
     targetGuesses,
-    options.length
+    options.length,
+    options.rules
   );
   console.log("  约束:", constraints);
 
-  // 估算搜索空间
-  const estimatedSpace = estimateSearchSpace(constraints, options.length);
-  console.log("  估算搜索空间:", estimatedSpace);
-
-  const candidates = await generateCandidatesAsync(constraints, {
+  // 进度按预计需要探索的节点数计算（估计在 startSearch 中完成）
+  const expectedNodes = expectedSearchNodes(options.estimate);
+
+  // 每个目标独占一个 Worker，所有目标并行搜索；总数在结果之后到达时补进缓存
+  let count = null;
+  let entry = null;
+  const {
+    results: candidates,
+    cursor,
+    complete,
+  } = await runSearch(constraints, {
     ...options,
-    estimatedSpace: estimatedSpace, // 传入估算空间
+    history: targetGuesses,
+    onCount: (info) => {
+      count = info;
+      if (entry) entry.count = info;
+      if (options.onTargetCount) options.onTargetCount(info);
+    },
     onProgress: (progress) => {
-      // 传递给外部的进度回调，添加估算空间信息
+      // 传递给外部的进度回调，添加预计节点数
       if (options.onTargetProgress) {
         options.onTargetProgress({
           ...progress,
-          estimatedSpace: estimatedSpace,
+          expectedNodes,
+          history: targetGuesses,
           targetIdx: targetIdx,
         });
       }
@@ -1336,12 +2126,21 @@ async function searchSingleTargetAsync(targetIdx, guesses, options) {
 
   console.log(`  找到 ${candidates.length} 个候选`);
 
+  entry = storeSearchCache(
+    targetIdx,
+    targetGuesses,
+    candidates,
+    cursor,
+    count,
+    complete
+  );
+
   // 搜索完成后，通知进度条设为100%
   if (options.onTargetProgress) {
     options.onTargetProgress({
       found: candidates.length,
-      explored: estimatedSpace,
-      estimatedSpace: estimatedSpace,
+      explored: expectedNodes,
+      expectedNodes,
       targetIdx: targetIdx,
       completed: true,
     });
@@ -1350,6 +2149,93 @@ async function searchSingleTargetAsync(targetIdx, guesses, options) {
   return candidates;
 }
 
+// 创建结果条目；容错搜索时标注该结果假设录错的格子（见 solver.js 的 findMismatchedCells）
+function createResultItem(expr, history) {
+  const item = document.createElement("div");
+  item.className = "result-item";
+  item.textContent = expr;
+  item.title = "点击复制";
+
+  if (state.tolerance) {
+    const cells = findMismatchedCells(expr, history);
+    if (cells.length > 0) {
+      const colorNames = { g: "绿", y: "黄", x: "灰" };
+      item.classList.add("assumes-errors");
+      item.dataset.errors = cells.length;
+      item.title =
+        "假设以下格子录错：\n" +
+        cells
+          .map(
+            ({ row, pos, entered, actual }) =>
+              `第 ${row + 1} 行位置 ${pos + 1}：记为${
+                colorNames[entered] || "灰"
+              }，应为${colorNames[actual]}`
+          )
+          .join("\n") +
+        "\n点击复制";
+    }
+  }
+
+  item.addEventListener("click", () => copyResultToClipboard(item));
+  return item;
+}
+
+// 按当前排序策略重新排列结果（搜索结束、加载更多、切换策略时调用）
+// Worker 只认识内置策略，所以排序统一在主线程做
+function rerankResults() {
+  if (!state.lastCandidates) return;
+
+  const multiBoard = Array.isArray(state.lastCandidates[0]);
+  const slots = multiBoard
+    ? boardIndices(state.lastCandidates.length)
+    : ["single"];
+
+  slots.forEach((slot, i) => {
+    const candidates = multiBoard
+      ? state.lastCandidates[i]
+      : state.lastCandidates;
+    // 结果对应搜索时的历史（容错标注要用），已解决的目标没有缓存，用当前历史
+    const entry = state.searchCache && state.searchCache.slots[slot];
+    const history = entry ? entry.history : getSlotHistory(slot);
+    const ranked = rankCandidates(candidates, state.ranking, {
+      history,
+      rules: getActiveRules(),
+      tolerance: state.tolerance,
+    });
+
+    if (multiBoard) state.lastCandidates[i] = ranked;
+    else state.lastCandidates = ranked;
+
+    const group = document.getElementById(
+      slot === "single" ? "single-mode-results" : `target-${slot}`
+    );
+    const list = group && group.querySelector(".results-list");
+    if (!list || ranked.length === 0) return;
+    list.innerHTML = "";
+    ranked.forEach((expr) => list.appendChild(createResultItem(expr, history)));
+  });
+}
+
+// 结果标题：显示数量与候选总数（总数超过列出的数量时一并说明）
+// 计数超时时已数出的下界往往远小于实际，改为显示估计值与置信区间（见 countAfterSearch）
+function formatResultsTitle(shown, countInfo) {
+  if (!countInfo || (countInfo.exact && countInfo.count === shown)) {
+    return `找到 ${shown} 个候选`;
+  }
+  const total = countInfo.count.toLocaleString();
+  if (countInfo.exact) return `显示 ${shown} 个，共 ${total} 个候选`;
+
+  const { estimate } = countInfo;
+  if (!estimate || estimate.estimate === null) {
+    return `显示 ${shown} 个，至少 ${total} 个候选（计数超时，总数无法估计）`;
+  }
+  const range =
+    estimate.high === null
+      ? `至少 ${estimate.low.toLocaleString()}`
+      : `${estimate.low.toLocaleString()}–${estimate.high.toLocaleString()}`;
+  return `显示 ${shown} 个，估计约 ${estimate.estimate.toLocaleString()} 个候选（95% 区间 ${range}；计数超时，为随机探测的估计）`;
+}
+
 // 更新单个目标的显示
 function updateTargetDisplay(targetIdx, results) {
   const group = document.getElementById(`target-${targetIdx}`);
@@ -1378,7 +2264,7 @@ function updateTargetDisplay(targetIdx, results) {
 
 // 取消搜索
 function cancelSearch() {
-  state.cancelledRef.value = true;
+  if (state.searchController) state.searchController.abort();
 
   // 立即禁用取消按钮，避免重复点击
   const cancelBtn = document.getElementById("cancelSearch");
@@ -1388,6 +2274,31 @@ function cancelSearch() {
   showStatus("正在取消搜索...", "warning");
 }
 
+// 推荐区的计算（推荐、残局规划、决策树）在 Worker 中进行，同一时间只跑一个；
+// 运行中禁用这几个按钮并显示"取消计算"。run 收到取消信号，取消时以 AbortError 拒绝
+async function runRecommendTask(run) {
+  state.recommendController = new AbortController();
+  setRecommendRunning(true);
+  try {
+    return await run(state.recommendController.signal);
+  } finally {
+    setRecommendRunning(false);
+  }
+}
+
+function setRecommendRunning(running) {
+  ["recommendGuess", "planEndgame", "decisionTree"].forEach((id) => {
+    document.getElementById(id).disabled = running;
+  });
+  document.getElementById("cancelRecommend").style.display = running
+    ? "inline-block"
+    : "none";
+}
+
+function cancelRecommend() {
+  if (state.recommendController) state.recommendController.abort();
+}
+
 // 复制结果到剪贴板
 function copyResultToClipboard(itemElement) {
   const text = itemElement.textContent;
@@ -1411,6 +2322,709 @@ function copyResultToClipboard(itemElement) {
     });
 }
 
+// 显示下一步推荐
+async function showRecommendations() {
+  if (!state.lastCandidates) {
+    showStatus("请先搜索候选", "warning");
+    return;
+  }
+
+  const metric = document.getElementById("recommendMetric").value;
+  const container = document.getElementById("recommendContainer");
+  container.innerHTML = '<p class="empty-hint">计算推荐中，请稍候...</p>';
+
+  const multiBoard = Array.isArray(state.lastCandidates[0]);
+  const groups = multiBoard
+    ? state.lastCandidates.map((candidates, idx) => ({
+        label: `目标 ${idx + 1}`,
+        candidates,
+      }))
+    : [{ label: "推荐猜测", candidates: state.lastCandidates }];
+  // 多式时对所有未解决的目标联合推荐（至少两个时）
+  const jointIndexes = multiBoard
+    ? state.lastCandidates
+        .map((_, idx) => idx)
+        .filter((idx) => !getTargetHistory(state.guesses, idx).solvedGuess)
+    : [];
+
+  // 除了候选本身，也给不可能是答案的试探等式打分（同决策树，见 getProbeEquations）；
+  // 困难模式下试探等式大多不符合提示，只用候选。打分在 Worker 中进行，期间可以取消
+  let joint = null;
+  let rankings;
+  try {
+    await runRecommendTask(async (signal) => {
+      const probes = state.hardMode ? [] : await getProbeEquations(groups);
+      const withProbes = (candidates) =>
+        filterHardModeGuesses([...new Set([...candidates, ...probes])]);
+
+      [joint, ...rankings] = await Promise.all([
+        jointIndexes.length >= 2
+          ? runJointRecommend(
+              jointIndexes.map((idx) => state.lastCandidates[idx]),
+              {
+                guessPool: withProbes(
+                  jointIndexes.flatMap((idx) => state.lastCandidates[idx])
+                ),
+                metric,
+                limit: 10,
+                signal,
+              }
+            )
+          : null,
+        ...groups.map(({ candidates }) =>
+          candidates.length <= 1
+            ? null
+            : runRecommend(candidates, {
+                guessPool: withProbes(candidates),
+                metric,
+                limit: 10,
+                signal,
+              })
+        ),
+      ]);
+    });
+  } catch (error) {
+    container.innerHTML = "";
+    if (error.name === "AbortError") showStatus("推荐计算已取消", "warning");
+    else showStatus("计算推荐失败: " + error.message, "error");
+    return;
+  }
+  container.innerHTML = "";
+
+  // 多式结果是二维数组：先显示联合推荐，再每个目标单独推荐
+  if (joint) showJointRecommendations(container, jointIndexes, joint);
+
+  groups.forEach(({ label, candidates }, i) => {
+    const group = document.createElement("div");
+    group.className = "results-group";
+
+    const title = document.createElement("h3");
+    group.appendChild(title);
+
+    if (candidates.length <= 1) {
+      title.textContent = label;
+      const hint = document.createElement("p");
+      hint.className = "empty-hint";
+      hint.textContent =
+        candidates.length === 1
+          ? `仅剩 1 个候选：${candidates[0]}`
+          : "没有候选";
+      group.appendChild(hint);
+      container.appendChild(group);
+      return;
+    }
+
+    title.textContent = `${label}（基于 ${candidates.length} 个候选）`;
+
+    if (candidates.length >= state.maxResults) {
+      const note = document.createElement("div");
+      note.className = "result-meta";
+      note.textContent = "⚠ 候选列表已被最大结果数截断，推荐仅基于已找到的部分";
+      group.appendChild(note);
+    }
+
+    const list = document.createElement("div");
+    list.className = "recommend-list";
+
+    const ranked = rankings[i];
+    if (ranked.length === 0) {
+      const hint = document.createElement("p");
+      hint.className = "empty-hint";
+      hint.textContent = "困难模式下没有符合全部提示的候选";
+      group.appendChild(hint);
+      container.appendChild(group);
+      return;
+    }
+    ranked.forEach((rec) => {
+      const item = document.createElement("div");
+      item.className = "recommend-item";
+      item.title = "点击填入输入框";
+
+      const guessSpan = document.createElement("span");
+      guessSpan.className = "recommend-guess";
+      guessSpan.textContent = rec.guess;
+      item.appendChild(guessSpan);
+
+      const meta = document.createElement("span");
+      meta.className = "recommend-meta";
+      meta.textContent = `信息量 ${rec.entropy.toFixed(2)} bit | 期望剩余 ${rec.expectedSize.toFixed(
+        1
+      )} | 最坏 ${rec.worstCase}${rec.isCandidate ? " | 可能是答案" : " | 试探"}`;
+      item.appendChild(meta);
+
+      item.addEventListener("click", () => fillCurrentInput(rec.guess));
+      list.appendChild(item);
+    });
+
+    group.appendChild(list);
+    container.appendChild(group);
+  });
+}
+
+// 多式模式的联合推荐：一次猜测同时作用于所有未解决的目标（见 solver.js 的 recommendJointGuesses）
+// targetIndexes 为参与的目标，ranked 为 Worker 算出的推荐
+function showJointRecommendations(container, targetIndexes, ranked) {
+  const targets = targetIndexes.map((idx) => state.lastCandidates[idx]);
+
+  const group = document.createElement("div");
+  group.className = "results-group";
+
+  const title = document.createElement("h3");
+  title.textContent = `联合推荐（目标 ${targetIndexes
+    .map((idx) => idx + 1)
+    .join("、")}）`;
+  group.appendChild(title);
+
+  if (targets.some((candidates) => candidates.length >= state.maxResults)) {
+    const note = document.createElement("div");
+    note.className = "result-meta";
+    note.textContent = "⚠ 部分目标的候选列表已被最大结果数截断，推荐仅基于已找到的部分";
+    group.appendChild(note);
+  }
+
+  const list = document.createElement("div");
+  list.className = "recommend-list";
+
+  if (ranked.length === 0) {
+    const hint = document.createElement("p");
+    hint.className = "empty-hint";
+    hint.textContent = "困难模式下没有同时符合各目标提示的候选";
+    group.appendChild(hint);
+    container.appendChild(group);
+    return;
+  }
+  ranked.forEach((rec) => {
+    const item = document.createElement("div");
+    item.className = "recommend-item";
+    item.title = "点击填入输入框";
+
+    const guessSpan = document.createElement("span");
+    guessSpan.className = "recommend-guess";
+    guessSpan.textContent = rec.guess;
+    item.appendChild(guessSpan);
+
+    // 每个目标的期望剩余，可能直接猜中的目标单独列出
+    const remaining = rec.perTarget
+      .map((stats, i) =>
+        stats
+          ? `目标 ${targetIndexes[i] + 1}：${stats.expectedSize.toFixed(1)}`
+          : null
+      )
+      .filter(Boolean)
+      .join("，");
+    const solvable = rec.perTarget
+      .map((stats, i) =>
+        stats && stats.isCandidate ? targetIndexes[i] + 1 : null
+      )
+      .filter(Boolean);
+
+    const meta = document.createElement("span");
+    meta.className = "recommend-meta";
+    meta.textContent = `合计信息量 ${rec.entropy.toFixed(
+      2
+    )} bit | 期望剩余 ${remaining}${
+      solvable.length > 0 ? ` | 可能是目标 ${solvable.join("、")} 的答案` : ""
+    }`;
+    item.appendChild(meta);
+
+    item.addEventListener("click", () => fillCurrentInput(rec.guess));
+    list.appendChild(item);
+  });
+
+  group.appendChild(list);
+  container.appendChild(group);
+}
+
+// 未解决目标的当前候选 [{index, candidates}]（候选来自与当前历史一致的搜索缓存，见 getSearchEntry）
+// 有目标还没按当前历史搜索过时返回 null
+function getUnsolvedCandidates() {
+  const slots = isMultiBoard() ? boardIndices() : ["single"];
+  const targets = [];
+
+  for (const slot of slots) {
+    const index = slot === "single" ? 0 : slot;
+    if (getTargetHistory(state.guesses, index).solvedGuess) continue;
+    const entry = getSearchEntry(slot);
+    if (!entry) return null;
+    targets.push({ index, candidates: entry.results });
+  }
+  return targets;
+}
+
+// 更新剩余行数提示：剩余行数少于未解决的目标数时已不可能全部解出；
+// 搜索过后再用最坏情况的行数下界（见 solver.js 的 minRowsToGuarantee）判断能否保证
+function updateRowBudget() {
+  const div = document.getElementById("rowBudget");
+  if (state.rowLimit === null) {
+    div.style.display = "none";
+    return;
+  }
+
+  const rowsLeft = state.rowLimit - state.guesses.length;
+  const unsolved = (isMultiBoard() ? boardIndices() : [0]).filter(
+    (index) => !getTargetHistory(state.guesses, index).solvedGuess
+  ).length;
+  const candidates = getUnsolvedCandidates();
+  const minRows = candidates
+    ? minRowsToGuarantee(candidates.map((t) => t.candidates))
+    : unsolved;
+
+  let message = `已用 ${state.guesses.length} / ${state.rowLimit} 行，剩余 ${rowsLeft} 行`;
+  let level = "info";
+  if (unsolved === 0) {
+    message += "，已全部解出";
+  } else if (rowsLeft < unsolved) {
+    message += `，少于未解决的 ${unsolved} 个目标，已无法全部解出`;
+    level = "error";
+  } else if (rowsLeft < minRows) {
+    message += `，最坏情况下需要 ${minRows} 行，无法保证全部解出（可点击"残局规划"查看成功率最高的猜测）`;
+    level = "warning";
+  }
+
+  div.textContent = message;
+  div.className = `row-budget ${level === "info" ? "" : level}`.trim();
+  div.style.display = "block";
+}
+
+// 残局规划：在剩余行数内解出全部目标的概率最大的下一步猜测（见 solver.js 的 planEndgame）
+async function showEndgamePlan() {
+  if (state.rowLimit === null) {
+    showStatus('请先设置"行数上限"', "warning");
+    return;
+  }
+  const targets = getUnsolvedCandidates();
+  if (!targets) {
+    showStatus("请先按当前历史搜索候选", "warning");
+    return;
+  }
+  if (targets.length === 0) {
+    showStatus("所有目标都已解出", "info");
+    return;
+  }
+
+  const rowsLeft = state.rowLimit - state.guesses.length;
+  const container = document.getElementById("recommendContainer");
+  container.innerHTML = '<p class="empty-hint">规划中，请稍候...</p>';
+
+  // 模拟在 Worker 中进行（见 solver-client.js 的 runEndgame），期间可以取消
+  let plan;
+  try {
+    plan = await runRecommendTask((signal) =>
+      runEndgame(targets.map((t) => t.candidates), {
+        rowsLeft,
+        hardModeHistories: getHardModeHistoriesFor(targets),
+        signal,
+      })
+    );
+  } catch (error) {
+    container.innerHTML = "";
+    if (error.name === "AbortError") showStatus("残局规划已取消", "warning");
+    else showStatus("规划失败: " + error.message, "error");
+    return;
+  }
+  container.innerHTML = "";
+
+  const group = document.createElement("div");
+  group.className = "results-group";
+
+  const title = document.createElement("h3");
+  title.textContent = `残局规划：剩余 ${rowsLeft} 行，${
+    targets.length
+  } 个未解决目标（${targets
+    .map((t) => `目标 ${t.index + 1}：${t.candidates.length} 个候选`)
+    .join("，")}）`;
+  group.appendChild(title);
+
+  const note = document.createElement("div");
+  note.className = "result-meta";
+  note.textContent = `成功率为模拟对局（至多 ${ENDGAME_SIMULATIONS} 种答案组合，组合不多时全部枚举）中按时解出全部目标的比例；之后每步按联合推荐，只剩一个候选的目标直接猜${
+    state.hardMode ? "；困难模式下首步和模拟中的每一步都只猜符合各未解决目标全部提示的等式" : ""
+  }`;
+  if (targets.some((t) => t.candidates.length >= state.maxResults)) {
+    note.textContent += "；⚠ 部分目标的候选列表已被最大结果数截断，规划仅基于已找到的部分";
+  }
+  group.appendChild(note);
+
+  if (plan.plans.length === 0) {
+    const hint = document.createElement("p");
+    hint.className = "empty-hint";
+    hint.textContent =
+      rowsLeft < targets.length
+        ? "剩余行数少于未解决的目标数，已无法全部解出"
+        : "困难模式下没有同时符合各目标提示的猜测";
+    group.appendChild(hint);
+    container.appendChild(group);
+    return;
+  }
+
+  const list = document.createElement("div");
+  list.className = "recommend-list";
+
+  plan.plans.forEach((rec) => {
+    const item = document.createElement("div");
+    item.className = "recommend-item";
+    item.title = "点击填入输入框";
+
+    const guessSpan = document.createElement("span");
+    guessSpan.className = "recommend-guess";
+    guessSpan.textContent = rec.guess;
+    item.appendChild(guessSpan);
+
+    const solvable = targets
+      .filter((t) => t.candidates.includes(rec.guess))
+      .map((t) => t.index + 1);
+
+    const meta = document.createElement("span");
+    meta.className = "recommend-meta";
+    meta.textContent = `按时解出 ${(rec.successRate * 100).toFixed(1)}%${
+      rec.expectedRows !== null
+        ? ` | 平均再用 ${rec.expectedRows.toFixed(1)} 行`
+        : ""
+    }${
+      solvable.length > 0 ? ` | 可能是目标 ${solvable.join("、")} 的答案` : ""
+    }`;
+    item.appendChild(meta);
+
+    item.addEventListener("click", () => fillCurrentInput(rec.guess));
+    list.appendChild(item);
+  });
+
+  group.appendChild(list);
+  container.appendChild(group);
+
+  const best = plan.plans[0];
+  if (best.successRate < 1) {
+    showStatus(
+      `⚠ 剩余 ${rowsLeft} 行可能不够：最佳方案按时解出的概率约 ${(
+        best.successRate * 100
+      ).toFixed(0)}%`,
+      "warning"
+    );
+  }
+}
+
+// 决策树允许非候选试探时，从全部等式中抽样多少个作为试探
+const DECISION_TREE_PROBES = 60;
+
+// 非候选试探等式：其余未解决目标的候选，加上从全部等式中按种子抽样的一批（按当前设置缓存）
+async function getProbeEquations(targets) {
+  const settings = getSearchSettingsKey();
+  if (!state.probeCache || state.probeCache.settings !== settings) {
+    const { results } = await runSearch(
+      buildConstraintsFromGuesses([], state.length, getActiveRules()),
+      {
+        length: state.length,
+        maxResults: DECISION_TREE_PROBES,
+        rules: getActiveRules(),
+        history: [],
+        sample: { seed: 1, weight: "diverse" },
+      }
+    );
+    state.probeCache = { settings, probes: results };
+  }
+  return [
+    ...targets.flatMap((t) => t.candidates),
+    ...state.probeCache.probes,
+  ];
+}
+
+// 最优决策树：候选不多的目标按精确搜索给出完整策略，并可逐步查看（见 solver.js 的 buildDecisionTree）
+async function showDecisionTrees() {
+  const targets = getUnsolvedCandidates();
+  if (!targets) {
+    showStatus("请先按当前历史搜索候选", "warning");
+    return;
+  }
+  if (targets.length === 0) {
+    showStatus("所有目标都已解出", "info");
+    return;
+  }
+
+  const metric = document.getElementById("decisionTreeMetric").value;
+  // 困难模式下试探等式在树的深处未必还符合提示，不使用；候选在每一步都与本目标的提示一致，
+  // 但多式时还要符合其他目标的提示（只能按当前的提示检查）
+  const useProbes =
+    document.getElementById("decisionTreeProbes").checked && !state.hardMode;
+  const hardModeHistories = getHardModeHistoriesFor(targets);
+  const container = document.getElementById("recommendContainer");
+  container.innerHTML = '<p class="empty-hint">计算决策树中，请稍候...</p>';
+
+  let probes = [];
+  if (useProbes) {
+    try {
+      probes = await getProbeEquations(targets);
+    } catch (error) {
+      container.innerHTML = "";
+      showStatus("获取试探等式失败: " + error.message, "error");
+      return;
+    }
+  }
+
+  // 各目标的树在各自的 Worker 中并行计算（见 solver-client.js 的 runDecisionTree），期间可以取消
+  container.innerHTML = "";
+  try {
+    await runRecommendTask((signal) =>
+      Promise.all(
+        targets.map((target) =>
+          showDecisionTree(container, target, {
+            metric,
+            probes,
+            useProbes,
+            hardModeHistories,
+            signal,
+          })
+        )
+      )
+    );
+  } catch (error) {
+    if (error.name === "AbortError") showStatus("决策树计算已取消", "warning");
+    else showStatus("计算决策树失败: " + error.message, "error");
+  }
+}
+
+// 计算并显示一个目标的决策树；候选不完整或太多时只给出提示
+async function showDecisionTree(container, { index, candidates }, options) {
+  const { metric, probes, useProbes, hardModeHistories, signal } = options;
+  const slot = isMultiBoard() ? index : "single";
+  const group = document.createElement("div");
+  group.className = "results-group";
+
+  const title = document.createElement("h3");
+  title.textContent = `${
+    isMultiBoard() ? `目标 ${index + 1}` : "决策树"
+  }（${candidates.length} 个候选）`;
+  group.appendChild(title);
+  container.appendChild(group);
+
+  const hint = document.createElement("p");
+  hint.className = "empty-hint";
+  group.appendChild(hint);
+
+  // 候选列表不完整时，树只覆盖已找到的部分，没有意义
+  const reason = !getSearchEntry(slot).complete
+    ? "候选列表不完整（被最大结果数截断或搜索被取消），请先加载全部候选"
+    : candidates.length > DECISION_TREE_MAX_CANDIDATES
+      ? `候选超过 ${DECISION_TREE_MAX_CANDIDATES} 个，请先用推荐的猜测缩小范围`
+      : null;
+  if (reason) {
+    hint.textContent = reason;
+    return;
+  }
+
+  hint.textContent = "计算中，请稍候...";
+  let tree;
+  try {
+    tree = await runDecisionTree(candidates, {
+      metric,
+      probes: probes.filter((expr) => !candidates.includes(expr)),
+      hardModeHistories,
+      signal,
+    });
+  } catch (error) {
+    hint.textContent = error.name === "AbortError" ? "已取消" : "计算失败";
+    throw error;
+  }
+  hint.remove();
+
+  const note = document.createElement("div");
+  note.className = "result-meta";
+  note.textContent = `期望猜测 ${tree.expectedGuesses.toFixed(
+    2
+  )} 次，最坏 ${tree.worstCase} 次（按${
+    metric === "minimax" ? "最坏" : "期望"
+  }猜测次数${tree.exact ? "最优" : "搜索，超出计算预算的部分改为贪心，不保证最优"}${
+    useProbes
+      ? "，含非候选试探"
+      : state.hardMode
+        ? `，困难模式下只猜符合${
+            isMultiBoard() ? "各目标当前" : "全部"
+          }提示的候选，做不到的一步标 ⚠`
+        : ""
+  }）`;
+  group.appendChild(note);
+
+  const body = document.createElement("div");
+  body.className = "decision-step";
+  group.appendChild(body);
+  renderDecisionStep(body, tree.root, []);
+}
+
+// 子树中最多还要猜几次（含本节点的猜测）
+function decisionTreeDepth(node) {
+  return (
+    1 +
+    node.branches.reduce(
+      (depth, branch) => Math.max(depth, decisionTreeDepth(branch.node)),
+      0
+    )
+  );
+}
+
+// 显示决策树的一步：已走过的路径、当前要猜的等式，以及每种反馈之后的去向
+// path 为走过的 [{node, pattern}]，点击反馈进入子树，"上一步"退回
+function renderDecisionStep(body, node, path) {
+  body.innerHTML = "";
+
+  path.forEach((step, i) => {
+    const row = document.createElement("div");
+    row.className = "decision-path";
+    row.textContent = `第 ${i + 1} 步：${step.node.guess}`;
+    row.appendChild(createPatternDisplay(step.pattern, step.node.guess));
+    body.appendChild(row);
+  });
+
+  const current = document.createElement("div");
+  current.className = "recommend-item";
+  current.title = "点击填入输入框";
+
+  const guessSpan = document.createElement("span");
+  guessSpan.className = "recommend-guess";
+  guessSpan.textContent = `第 ${path.length + 1} 步：猜 ${node.guess}`;
+  current.appendChild(guessSpan);
+
+  const meta = document.createElement("span");
+  meta.className = "recommend-meta";
+  meta.textContent = `剩 ${node.size} 个候选 | 最多再猜 ${decisionTreeDepth(
+    node
+  )} 次${node.isCandidate ? " | 可能是答案" : " | 试探"}${
+    state.hardMode && node.breaksHardMode ? " | ⚠ 不符合困难模式的提示" : ""
+  }`;
+  current.appendChild(meta);
+
+  current.addEventListener("click", () => fillCurrentInput(node.guess));
+  body.appendChild(current);
+
+  if (node.size <= 10) {
+    const remaining = document.createElement("div");
+    remaining.className = "result-meta";
+    remaining.textContent = `候选：${node.candidates.join("、")}`;
+    body.appendChild(remaining);
+  }
+
+  const list = document.createElement("div");
+  list.className = "recommend-list";
+
+  if (node.isCandidate) {
+    const item = document.createElement("div");
+    item.className = "recommend-item";
+    item.appendChild(
+      createPatternDisplay("g".repeat(node.guess.length), node.guess)
+    );
+    const solved = document.createElement("span");
+    solved.className = "recommend-meta";
+    solved.textContent = "全绿：解出";
+    item.appendChild(solved);
+    list.appendChild(item);
+  }
+
+  node.branches.forEach(({ pattern, node: child }) => {
+    const item = document.createElement("div");
+    item.className = "recommend-item";
+    item.title = "按这个反馈进入下一步";
+    item.appendChild(createPatternDisplay(pattern, node.guess));
+
+    const info = document.createElement("span");
+    info.className = "recommend-meta";
+    info.textContent =
+      child.size === 1
+        ? `→ 答案是 ${child.guess}`
+        : `→ 剩 ${child.size} 个，下一步猜 ${child.guess}`;
+    item.appendChild(info);
+
+    item.addEventListener("click", () =>
+      renderDecisionStep(body, child, [...path, { node, pattern }])
+    );
+    list.appendChild(item);
+  });
+  body.appendChild(list);
+
+  if (path.length > 0) {
+    const back = document.createElement("button");
+    back.className = "btn btn-secondary decision-back-btn";
+    back.textContent = "上一步";
+    back.addEventListener("click", () => {
+      const previous = path[path.length - 1];
+      renderDecisionStep(body, previous.node, path.slice(0, -1));
+    });
+    body.appendChild(back);
+  }
+}
+
+// 检查任意等式是否与当前历史一致，并列出不一致的原因（见 solver.js 的 explainCandidate）
+function showExplanation() {
+  const expr = document.getElementById("explainInput").value.trim();
+  if (!expr) {
+    showStatus("请输入要检查的等式", "warning");
+    return;
+  }
+
+  const container = document.getElementById("explainContainer");
+  container.innerHTML = "";
+  const rules = getActiveRules();
+
+  // 多式模式每个目标分别检查
+  const targets = isMultiBoard()
+    ? boardIndices().map((targetIdx) => ({
+        label: `目标 ${targetIdx + 1}`,
+        ...getTargetHistory(state.guesses, targetIdx),
+      }))
+    : [{ label: expr, targetGuesses: state.guesses, solvedGuess: null }];
+
+  targets.forEach(({ label, targetGuesses, solvedGuess }) => {
+    let report;
+    if (solvedGuess) {
+      report =
+        expr === solvedGuess.guess
+          ? { ok: true, reasons: [] }
+          : { ok: false, reasons: [`该目标已解决，答案是 ${solvedGuess.guess}`] };
+    } else {
+      const constraints = buildConstraintsFromGuesses(
+        targetGuesses,
+        state.length,
+        rules
+      );
+      report = explainCandidate(expr, constraints, rules);
+    }
+
+    const group = document.createElement("div");
+    group.className = "results-group";
+
+    const title = document.createElement("h3");
+    title.textContent = label;
+    group.appendChild(title);
+
+    if (report.ok) {
+      const ok = document.createElement("div");
+      ok.className = "explain-ok";
+      ok.textContent = "✓ 合法且与历史一致";
+      group.appendChild(ok);
+    } else {
+      const list = document.createElement("ul");
+      list.className = "explain-reasons";
+      report.reasons.forEach((reason) => {
+        const item = document.createElement("li");
+        item.textContent = reason;
+        list.appendChild(item);
+      });
+      group.appendChild(list);
+    }
+
+    container.appendChild(group);
+  });
+}
+
+// 把等式填入当前输入
+function fillCurrentInput(expr) {
+  for (let i = 0; i < state.length; i++) {
+    state.currentInput[i] = expr[i] || "";
+  }
+  state.focusedIndex = Math.min(expr.length, state.length - 1);
+  renderInputGrid();
+  if (isMultiBoard()) renderBoardGrids();
+  checkAndAutoApplySolved();
+  showStatus(`已填入 ${expr}`, "info");
+}
+
 // 显示单式模式结果
 function displayResultsSingleMode(
   results,
@@ -1459,8 +3073,8 @@ function displayResultsSingleMode(
   container.appendChild(group);
 }
 
-// 显示 4 式模式结果
-function displayResults4Mode(resultsArray, elapsed) {
+// 显示多式模式结果
+function displayResultsBoards(resultsArray, elapsed) {
   const container = document.getElementById("resultsContainer");
   container.innerHTML = "";
 
@@ -1516,11 +3130,22 @@ function exportState() {
   const exportData = {
     version: 1,
     length: state.length,
-    mode4: state.mode4,
+    boards: state.boards,
+    rowLimit: state.rowLimit,
+    hardMode: state.hardMode,
+    ruleProfile: state.ruleProfile,
+    exactDivision: state.exactDivision,
+    tolerance: state.tolerance,
+    sample: state.sample,
+    ranking: state.ranking,
     currentInput: state.currentInput.join(""),
-    currentStates: state.mode4 ? null : state.currentStates.join(""),
-    colorGrids: state.mode4 ? state.colorGrids.map((g) => g.join("")) : null,
+    currentStates: isMultiBoard() ? null : state.currentStates.join(""),
+    colorGrids: isMultiBoard()
+      ? state.colorGrids.map((g) => g.join(""))
+      : null,
     guesses: state.guesses,
+    // 搜索快照：已找到的结果与游标，导入后可以继续加载
+    searchCache: state.searchCache,
   };
 
   const json = JSON.stringify(exportData, null, 2);
@@ -1562,12 +3187,42 @@ function importState() {
 
     // 恢复状态
     state.length = data.length || 12;
-    state.mode4 = data.mode4 || false;
+    // 旧版导出只有 mode4 开关
+    state.boards = Math.min(
+      Math.max(parseInt(data.boards, 10) || (data.mode4 ? 4 : 1), 1),
+      MAX_BOARDS
+    );
+    state.rowLimit = data.rowLimit || null;
+    state.hardMode = Boolean(data.hardMode);
+    state.ruleProfile = RULE_PROFILES[data.ruleProfile]
+      ? data.ruleProfile
+      : DEFAULT_RULE_PROFILE;
+    state.exactDivision =
+      data.exactDivision ?? getRuleProfile(state.ruleProfile).exactDivision;
+    state.tolerance = data.tolerance || null;
+    state.sample = data.sample || null;
+    state.ranking = data.ranking || DEFAULT_RANKING_STRATEGY;
     state.guesses = data.guesses || [];
+    state.searchCache = data.searchCache || null;
+    state.lastCandidates = null;
 
     // 恢复控制
     document.getElementById("length").value = state.length;
-    document.getElementById("mode4").checked = state.mode4;
+    document.getElementById("boards").value = state.boards;
+    document.getElementById("rowLimit").value = state.rowLimit ?? "";
+    document.getElementById("hardMode").checked = state.hardMode;
+    document.getElementById("ruleProfile").value = state.ruleProfile;
+    document.getElementById("exactDivision").checked = state.exactDivision;
+    document.getElementById("tolerance").value = state.tolerance
+      ? `${state.tolerance.unit}:${state.tolerance.maxErrors}`
+      : "0";
+    document.getElementById("resultOrder").value = state.sample
+      ? state.sample.weight
+      : "search";
+    document.getElementById("sampleSeed").value =
+      state.sample && state.sample.seed !== null ? state.sample.seed : "";
+    renderRankingOptions();
+    renderSymbolButtons();
 
     // 重新初始化网格
     initializeInputGrid();
@@ -1581,16 +3236,16 @@ function importState() {
     }
 
     // 恢复颜色状态
-    if (!state.mode4 && data.currentStates) {
+    if (!isMultiBoard() && data.currentStates) {
       const states = data.currentStates.split("");
       for (let i = 0; i < Math.min(states.length, state.length); i++) {
         state.currentStates[i] = states[i];
       }
     }
 
-    // 恢复 4 式颜色
-    if (state.mode4 && data.colorGrids) {
-      for (let g = 0; g < 4; g++) {
+    // 恢复多式颜色
+    if (isMultiBoard() && data.colorGrids) {
+      for (const g of boardIndices()) {
         if (data.colorGrids[g]) {
           const states = data.colorGrids[g].split("");
           for (let i = 0; i < Math.min(states.length, state.length); i++) {
@@ -1600,10 +3255,11 @@ function importState() {
       }
     }
 
-    toggleMode4Display();
+    toggleBoardsDisplay();
     renderInputGrid();
-    if (state.mode4) render4ModeGrids();
+    if (isMultiBoard()) renderBoardGrids();
     renderHistory();
+    renderSavedResults();
 
     showStatus("导入成功", "success");
   } catch (error) {
@@ -1649,21 +3305,21 @@ async function processImageFile(file) {
         
         const gameState = await extractGameStateFromImage(file, (status, progress) => {
             showOCRProgress(status, progress);
-        });
+        }, getActiveRules(), state.boards);
         
         // 应用识别结果
         state.length = gameState.length;
-        state.mode4 = gameState.mode4;
+        state.boards = gameState.boards;
         state.guesses = gameState.guesses;
         
         // 更新界面
         document.getElementById('length').value = state.length;
-        document.getElementById('mode4').checked = state.mode4;
+        document.getElementById('boards').value = state.boards;
         
         initializeInputGrid();
-        toggleMode4Display();
+        toggleBoardsDisplay();
         renderInputGrid();
-        if (state.mode4) render4ModeGrids();
+        if (isMultiBoard()) renderBoardGrids();
         renderHistory();
         
         hideOCRProgress();
@@ -0,0 +1,485 @@
+// expression.js - 表达式分词与求值
+// 纯函数实现，不依赖 DOM，由 solver.js 与 image-ocr.js 共用
+// 不使用 Function()/eval，可在严格 CSP 下运行
+
+// 二元运算符优先级（乘方 ^ 单独处理：优先级最高、右结合）
+const BINARY_PRECEDENCE = {
+  "+": 1,
+  "-": 1,
+  "*": 2,
+  "/": 2,
+};
+
+// 后缀乘方符号及其指数
+const POSTFIX_EXPONENTS = {
+  "²": 2,
+  "³": 3,
+};
+
+/**
+ * 将表达式切分为记号
+ * 记号类型：num（数字）、op（+ - * / ^）、lparen、rparen、postfix（² ³）
+ * @param {string} src - 表达式字符串（不含等号）
+ * @returns {Object} {tokens: [{type, text, pos}], error: string|null, position: number}
+ */
+function tokenizeExpression(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch >= "0" && ch <= "9") {
+      let j = i;
+      while (j < src.length && src[j] >= "0" && src[j] <= "9") j++;
+      tokens.push({ type: "num", text: src.slice(i, j), pos: i });
+      i = j;
+      continue;
+    }
+
+    if (BINARY_PRECEDENCE[ch] !== undefined || ch === "^") {
+      tokens.push({ type: "op", text: ch, pos: i });
+    } else if (ch === "(") {
+      tokens.push({ type: "lparen", text: ch, pos: i });
+    } else if (ch === ")") {
+      tokens.push({ type: "rparen", text: ch, pos: i });
+    } else if (POSTFIX_EXPONENTS[ch] !== undefined) {
+      tokens.push({ type: "postfix", text: ch, pos: i });
+    } else {
+      return { tokens, error: `意外的字符 '${ch}'`, position: i };
+    }
+    i++;
+  }
+
+  return { tokens, error: null, position: -1 };
+}
+
+/**
+ * 解析表达式为语法树（优先级爬升法）
+ * 优先级从低到高：+ - → * / → 一元 + - → ^（右结合）→ 后缀 ² ³ → 括号
+ * 因此 -2^2 = -(2^2)，2^3^2 = 2^(3^2)
+ * 语法树节点：
+ *   {type: "num", text, value}
+ *   {type: "group", expr}              括号
+ *   {type: "unary", op, operand}
+ *   {type: "postfix", op, operand}     ² ³
+ *   {type: "binary", op, left, right}  + - * / ^
+ * @param {string} src - 表达式字符串（不含等号）
+ * @returns {Object} {ok, tree, error, position}
+ */
+function parseExpression(src) {
+  if (!src) {
+    return { ok: false, tree: null, error: "表达式为空", position: 0 };
+  }
+
+  const { tokens, error, position } = tokenizeExpression(src);
+  if (error) {
+    return { ok: false, tree: null, error, position };
+  }
+
+  let index = 0;
+
+  function fail(message, pos) {
+    const err = new Error(message);
+    err.position = pos;
+    throw err;
+  }
+
+  // 数字或括号
+  function parsePrimary() {
+    const token = tokens[index];
+    if (!token) fail("缺少操作数", src.length);
+
+    if (token.type === "num") {
+      index++;
+      return {
+        type: "num",
+        text: token.text,
+        value: parseIntegerLiteral(token.text),
+      };
+    }
+
+    if (token.type === "lparen") {
+      index++;
+      const expr = parseBinary(1);
+      const close = tokens[index];
+      if (!close || close.type !== "rparen") {
+        fail("括号未闭合", token.pos);
+      }
+      index++;
+      return { type: "group", expr };
+    }
+
+    fail(`'${token.text}' 前缺少操作数`, token.pos);
+  }
+
+  // 后缀 ² ³（不允许连用）
+  function parsePostfix() {
+    let node = parsePrimary();
+    const token = tokens[index];
+    if (token && token.type === "postfix") {
+      index++;
+      node = { type: "postfix", op: token.text, operand: node };
+      const next = tokens[index];
+      if (next && next.type === "postfix") {
+        fail("不允许连续的乘方符号", next.pos);
+      }
+    }
+    return node;
+  }
+
+  // 乘方：右结合，指数可以带正负号
+  function parsePower() {
+    const base = parsePostfix();
+    const token = tokens[index];
+    if (token && token.type === "op" && token.text === "^") {
+      index++;
+      const exponent = parseUnary();
+      return { type: "binary", op: "^", left: base, right: exponent };
+    }
+    return base;
+  }
+
+  // 一元正负号，不允许 -- / ++ 或连续符号（与 JS 语义一致）
+  function parseUnary() {
+    const token = tokens[index];
+    if (!token) fail("缺少操作数", src.length);
+
+    if (token.type === "op" && (token.text === "-" || token.text === "+")) {
+      const prev = tokens[index - 1];
+      if (prev && prev.type === "op" && prev.text === token.text) {
+        fail(`不允许连续的 '${token.text}${token.text}'`, prev.pos);
+      }
+      index++;
+      const next = tokens[index];
+      if (!next || next.type === "op") {
+        fail(`'${token.text}' 后缺少操作数`, token.pos);
+      }
+      return { type: "unary", op: token.text, operand: parsePower() };
+    }
+
+    return parsePower();
+  }
+
+  function parseBinary(minPrecedence) {
+    let left = parseUnary();
+
+    while (index < tokens.length) {
+      const token = tokens[index];
+      if (token.type === "rparen") break;
+      if (token.type !== "op" || token.text === "^") {
+        fail(`'${token.text}' 前缺少运算符`, token.pos);
+      }
+
+      const precedence = BINARY_PRECEDENCE[token.text];
+      if (precedence < minPrecedence) break;
+
+      index++;
+      const right = parseBinary(precedence + 1);
+      left = { type: "binary", op: token.text, left, right };
+    }
+
+    return left;
+  }
+
+  try {
+    const tree = parseBinary(1);
+    if (index < tokens.length) {
+      const token = tokens[index];
+      fail(
+        token.type === "rparen" ? "多余的右括号" : "多余的记号",
+        token.pos
+      );
+    }
+    return { ok: true, tree, error: null, position: -1 };
+  } catch (e) {
+    return { ok: false, tree: null, error: e.message, position: e.position };
+  }
+}
+
+// ==================== 有理数运算 ====================
+// 用分子/分母精确表示中间结果，避免浮点舍入（如 7/3*3）
+// 分量默认用 number；可能超出 Number.MAX_SAFE_INTEGER 时自动改用 BigInt，
+// 结果回到安全范围后再转回 number，保证同一个值只有一种表示
+
+// 分量都不超过该值时，两两相乘再相加仍在安全整数范围内
+const SAFE_OPERAND_LIMIT = 2 ** 25;
+
+/**
+ * 解析整数字面量：安全范围内返回 number，否则返回 BigInt
+ * @param {string} text - 纯数字字符串
+ * @returns {number|bigint}
+ */
+function parseIntegerLiteral(text) {
+  const value = Number(text);
+  return Number.isSafeInteger(value) ? value : BigInt(text);
+}
+
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function bigGcd(a, b) {
+  if (a < 0n) a = -a;
+  if (b < 0n) b = -b;
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function isSafeBigInt(x) {
+  return (
+    x <= BigInt(Number.MAX_SAFE_INTEGER) && x >= BigInt(Number.MIN_SAFE_INTEGER)
+  );
+}
+
+/**
+ * 构造约分后的有理数（分母恒为正）
+ * @param {number|bigint} num - 分子
+ * @param {number|bigint} [den=1] - 分母（非零）
+ * @returns {Object} {num, den}
+ */
+function makeRational(num, den = 1) {
+  if (typeof num === "bigint" || typeof den === "bigint") {
+    num = BigInt(num);
+    den = BigInt(den);
+    if (den < 0n) {
+      num = -num;
+      den = -den;
+    }
+    const g = bigGcd(num, den) || 1n;
+    num /= g;
+    den /= g;
+    if (isSafeBigInt(num) && isSafeBigInt(den)) {
+      return { num: Number(num), den: Number(den) };
+    }
+    return { num, den };
+  }
+
+  if (den < 0) {
+    num = -num;
+    den = -den;
+  }
+  const g = gcd(num, den) || 1;
+  // 加 0 把 -0 规整为 0
+  return { num: num / g + 0, den: den / g };
+}
+
+/**
+ * 按分量组合两个有理数，必要时切换到 BigInt
+ * @param {Object} a - 有理数
+ * @param {Object} b - 有理数
+ * @param {Function} combine - (an, ad, bn, bd) => [num, den]，只用 + - *
+ * @returns {Object} 有理数
+ */
+function combineRationals(a, b, combine) {
+  if (
+    typeof a.num === "number" &&
+    typeof b.num === "number" &&
+    Math.max(Math.abs(a.num), a.den, Math.abs(b.num), b.den) <=
+      SAFE_OPERAND_LIMIT
+  ) {
+    const [num, den] = combine(a.num, a.den, b.num, b.den);
+    return makeRational(num, den);
+  }
+
+  const [num, den] = combine(
+    BigInt(a.num),
+    BigInt(a.den),
+    BigInt(b.num),
+    BigInt(b.den)
+  );
+  return makeRational(num, den);
+}
+
+function rationalAdd(a, b) {
+  return combineRationals(a, b, (an, ad, bn, bd) => [an * bd + bn * ad, ad * bd]);
+}
+
+function rationalSub(a, b) {
+  return combineRationals(a, b, (an, ad, bn, bd) => [an * bd - bn * ad, ad * bd]);
+}
+
+function rationalMul(a, b) {
+  return combineRationals(a, b, (an, ad, bn, bd) => [an * bn, ad * bd]);
+}
+
+function rationalDiv(a, b) {
+  return combineRationals(a, b, (an, ad, bn, bd) => [an * bd, ad * bn]);
+}
+
+// 乘方的指数上限，避免 9^999 之类的结果失控
+const MAX_EXPONENT = 64;
+
+/**
+ * 有理数的整数次幂
+ * @param {Object} base - 有理数
+ * @param {Object} exponent - 有理数（必须是整数）
+ * @returns {Object} 有理数
+ */
+function rationalPow(base, exponent) {
+  if (exponent.den !== 1) throw new Error("指数必须是整数");
+  const n = Number(exponent.num);
+  if (Math.abs(n) > MAX_EXPONENT) throw new Error("指数过大");
+  if (n === 0 && base.num === 0) throw new Error("0 的 0 次方无定义");
+  if (n < 0 && base.num === 0) throw new Error("除数为零");
+
+  const k = BigInt(Math.abs(n));
+  const num = BigInt(base.num) ** k;
+  const den = BigInt(base.den) ** k;
+  return n < 0 ? makeRational(den, num) : makeRational(num, den);
+}
+
+function rationalIsInteger(r) {
+  return r.den === 1;
+}
+
+function rationalEquals(a, b) {
+  return a.num === b.num && a.den === b.den;
+}
+
+/**
+ * 把整数字符串（可带负号）解析为有理数，不损失精度
+ * @param {string} text - 形如 "-123" 的字符串
+ * @returns {Object} 有理数
+ */
+function parseIntegerRational(text) {
+  const negative = text[0] === "-";
+  const value = parseIntegerLiteral(negative ? text.slice(1) : text);
+  return makeRational(negative ? -value : value);
+}
+
+/**
+ * 有理数转字符串（整数输出为 "7"，否则为 "7/3"）
+ */
+function rationalToString(r) {
+  return r.den === 1 ? String(r.num) : `${r.num}/${r.den}`;
+}
+
+/**
+ * 对语法树求值
+ * @param {Object} node - 语法树节点
+ * @param {Object} [options] - 求值选项
+ * @param {boolean} [options.exactDivision] - 要求每次除法都能整除
+ * @returns {Object} 有理数 {num, den}
+ */
+function evaluateTree(node, options = {}) {
+  switch (node.type) {
+    case "num":
+      return makeRational(node.value);
+    case "group":
+      return evaluateTree(node.expr, options);
+    case "postfix":
+      return rationalPow(
+        evaluateTree(node.operand, options),
+        makeRational(POSTFIX_EXPONENTS[node.op])
+      );
+    case "unary": {
+      const value = evaluateTree(node.operand, options);
+      return node.op === "-" ? makeRational(-value.num, value.den) : value;
+    }
+    case "binary": {
+      const left = evaluateTree(node.left, options);
+      const right = evaluateTree(node.right, options);
+      switch (node.op) {
+        case "+":
+          return rationalAdd(left, right);
+        case "-":
+          return rationalSub(left, right);
+        case "*":
+          return rationalMul(left, right);
+        case "/": {
+          if (right.num === 0) throw new Error("除数为零");
+          const quotient = rationalDiv(left, right);
+          if (options.exactDivision && !rationalIsInteger(quotient)) {
+            throw new Error(
+              `${rationalToString(left)}/${rationalToString(right)} 不能整除`
+            );
+          }
+          return quotient;
+        }
+        case "^": {
+          const power = rationalPow(left, right);
+          // 负指数本质上是除法，同样受整除规则约束
+          if (options.exactDivision && !rationalIsInteger(power)) {
+            throw new Error(
+              `${rationalToString(left)}^${rationalToString(right)} 不是整数`
+            );
+          }
+          return power;
+        }
+      }
+    }
+  }
+  throw new Error(`未知节点类型 ${node.type}`);
+}
+
+/**
+ * 解析并求值表达式
+ * @param {string} src - 表达式字符串（不含等号）
+ * @param {Object} [options] - 求值选项，见 evaluateTree
+ * @returns {Object} {ok, value, tree, error, position}，value 为有理数
+ */
+function evaluateExpression(src, options = {}) {
+  const parsed = parseExpression(src);
+  if (!parsed.ok) {
+    return { ...parsed, value: null };
+  }
+
+  try {
+    const value = evaluateTree(parsed.tree, options);
+    return { ...parsed, value };
+  } catch (e) {
+    return { ...parsed, ok: false, value: null, error: e.message };
+  }
+}
+
+/**
+ * 检查语法树是否违反规则配置（见 rules.js），未指定的规则视为允许
+ * @param {Object} node - 语法树节点
+ * @param {Object} [rules] - 规则配置
+ * @returns {string|null} 违反的规则说明，没有违反时为 null
+ */
+function findRuleViolation(node, rules = {}) {
+  switch (node.type) {
+    case "num":
+      if (
+        rules.allowLeadingZeros === false &&
+        node.text.length > 1 &&
+        node.text[0] === "0"
+      ) {
+        return `数字 ${node.text} 有前导零`;
+      }
+      if (rules.allowLoneZero === false && node.text === "0") {
+        return "不允许单独的 0 作为操作数";
+      }
+      return null;
+    case "unary":
+      if (node.op === "-" && rules.allowUnaryMinus === false) {
+        return "不允许一元负号";
+      }
+      if (node.op === "+" && rules.allowUnaryPlus === false) {
+        return "不允许一元正号";
+      }
+      return findRuleViolation(node.operand, rules);
+    case "group":
+      return findRuleViolation(node.expr, rules);
+    case "postfix":
+      return findRuleViolation(node.operand, rules);
+    case "binary":
+      if (rules.operators && !rules.operators.includes(node.op)) {
+        return `不允许运算符 '${node.op}'`;
+      }
+      return (
+        findRuleViolation(node.left, rules) ||
+        findRuleViolation(node.right, rules)
+      );
+  }
+  return null;
+}
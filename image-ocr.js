@@ -1,7 +1,8 @@
 /**
  * 图片识别模块 - 从 Wordle 截图中提取猜测历史
  * 
- * 图片格式：2x2 布局，每个区域 12 列 x 最多 9 行
+ * 图片格式：每个目标一个区域，按式数排成网格（4 式为 2x2，见 BOARD_LAYOUTS），
+ * 每个区域 12 列 x 最多 9 行
  * 颜色识别：
  * - 绿色方块：RGB ~(83, 141, 78) -> 'g'
  * - 黄色方块：RGB ~(181, 159, 59) -> 'y'  
@@ -17,6 +18,29 @@ const COLOR_THRESHOLDS = {
     white: { r: [245, 255], g: [245, 255], b: [245, 255] }     // 白色阈值提高（避免误判浅色）
 };
 
+// 常见式数的截图布局 [列数, 行数]，其余式数按接近正方形排列
+const BOARD_LAYOUTS = {
+    1: [1, 1],
+    2: [2, 1],
+    4: [2, 2],
+    8: [4, 2],
+    16: [4, 4]
+};
+
+/**
+ * 取得截图中各目标区域的排列方式
+ * @param {number} boards - 式数
+ * @returns {{cols: number, rows: number}}
+ */
+function getBoardLayout(boards) {
+    if (BOARD_LAYOUTS[boards]) {
+        const [cols, rows] = BOARD_LAYOUTS[boards];
+        return { cols, rows };
+    }
+    const cols = Math.ceil(Math.sqrt(boards));
+    return { cols, rows: Math.ceil(boards / cols) };
+}
+
 /**
  * 判断颜色类型 - 使用特征判断而非简单阈值
  */
@@ -56,8 +80,9 @@ function detectColor(r, g, b) {
 
 /**
  * 从图片中提取颜色网格
+ * @param {number} [boards] - 式数，决定区域划分
  */
-async function extractColorGridFromImage(imageFile) {
+async function extractColorGridFromImage(imageFile, boards = 4) {
     console.log('🖼️ 开始处理图片...');
     
     return new Promise((resolve, reject) => {
@@ -78,7 +103,7 @@ async function extractColorGridFromImage(imageFile) {
             ctx.drawImage(img, 0, 0);
             
             try {
-                const result = analyzeGridLayout(canvas, ctx);
+                const result = analyzeGridLayout(canvas, ctx, boards);
                 console.log('✅ 颜色网格提取完成');
                 resolve(result);
             } catch (error) {
@@ -95,24 +120,32 @@ async function extractColorGridFromImage(imageFile) {
 }
 
 /**
- * 分析 2x2 网格布局
+ * 分析网格布局：按式数把图片均分成若干区域，从左到右、从上到下依次为目标 1, 2, ...
+ * @param {number} [boards] - 式数
  */
-function analyzeGridLayout(canvas, ctx) {
+function analyzeGridLayout(canvas, ctx, boards = 4) {
     const width = canvas.width;
     const height = canvas.height;
     
-    // 假设 2x2 均分
-    const halfWidth = Math.floor(width / 2);
-    const halfHeight = Math.floor(height / 2);
-    
-    console.log(`🔍 分析区域: ${halfWidth}x${halfHeight} 每个`);
-    
-    const regions = [
-        { x: 0, y: 0, w: halfWidth, h: halfHeight, name: '左上(目标1)' },
-        { x: halfWidth, y: 0, w: halfWidth, h: halfHeight, name: '右上(目标2)' },
-        { x: 0, y: halfHeight, w: halfWidth, h: halfHeight, name: '左下(目标3)' },
-        { x: halfWidth, y: halfHeight, w: halfWidth, h: halfHeight, name: '右下(目标4)' }
-    ];
+    // 假设各区域均分
+    const { cols, rows } = getBoardLayout(boards);
+    const regionWidth = Math.floor(width / cols);
+    const regionHeight = Math.floor(height / rows);
+    
+    console.log(`🔍 分析区域: ${cols}x${rows} 布局，${regionWidth}x${regionHeight} 每个`);
+    
+    const regions = [];
+    for (let i = 0; i < boards; i++) {
+        const col = i % cols;
+        const row = Math.floor(i / cols);
+        regions.push({
+            x: col * regionWidth,
+            y: row * regionHeight,
+            w: regionWidth,
+            h: regionHeight,
+            name: `第${row + 1}行第${col + 1}列(目标${i + 1})`
+        });
+    }
     
     const allPatterns = [];
     
@@ -375,8 +408,9 @@ function preprocessImageForOCR(canvas, ctx, debug = false) {
 
 /**
  * 使用 Tesseract OCR 识别文本
+ * @param {Object} [rules] - 规则配置（见 rules.js），决定识别字符白名单
  */
-async function recognizeTextFromImage(imageFile, onProgress) {
+async function recognizeTextFromImage(imageFile, onProgress, rules = {}) {
     console.log('🔤 启动 OCR 识别...');
     
     return new Promise((resolve, reject) => {
@@ -407,7 +441,7 @@ async function recognizeTextFromImage(imageFile, onProgress) {
                     
                     if (onProgress) onProgress('设置参数...', 0.5);
                     await worker.setParameters({
-                        tessedit_char_whitelist: '0123456789+-*/=\n',
+                        tessedit_char_whitelist: getSymbolSet(rules) + '\n', // 按规则字符集识别
                         tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK, // 单一文本块模式
                         preserve_interword_spaces: '0',
                     });
@@ -437,24 +471,26 @@ async function recognizeTextFromImage(imageFile, onProgress) {
 
 /**
  * 从图片中完整提取游戏状态
+ * @param {Object} [rules] - 规则配置（见 rules.js），用于过滤 OCR 得到的等式
+ * @param {number} [boards] - 式数（截图中的目标数）
  */
-async function extractGameStateFromImage(imageFile, onProgress) {
+async function extractGameStateFromImage(imageFile, onProgress, rules = {}, boards = 4) {
     console.log('\n🎯 ===== 开始图片识别 =====\n');
     
     try {
         // 1. 提取颜色网格
         if (onProgress) onProgress('分析颜色网格...', 0.1);
-        const { patterns } = await extractColorGridFromImage(imageFile);
+        const { patterns } = await extractColorGridFromImage(imageFile, boards);
         
         // 2. OCR 识别文本
         if (onProgress) onProgress('OCR 识别文字...', 0.3);
         const text = await recognizeTextFromImage(imageFile, (status, progress) => {
             if (onProgress) onProgress(`OCR: ${status}`, 0.3 + progress * 0.6);
-        });
+        }, rules);
         
         // 3. 解析文本提取猜测
         if (onProgress) onProgress('解析猜测...', 0.9);
-        const guesses = parseGuessesFromText(text, patterns);
+        const guesses = parseGuessesFromText(text, patterns, rules);
         
         console.log('\n✅ ===== 识别完成 =====');
         console.log(`📊 总计: ${guesses.length} 个猜测`);
@@ -463,7 +499,7 @@ async function extractGameStateFromImage(imageFile, onProgress) {
         
         return {
             length: 12,
-            mode4: true,
+            boards: boards,
             guesses: guesses
         };
         
@@ -476,10 +512,12 @@ async function extractGameStateFromImage(imageFile, onProgress) {
 
 /**
  * 从 OCR 文本中解析猜测
+ * @param {Object} [rules] - 规则配置（见 rules.js）
  */
-function parseGuessesFromText(text, patterns) {
-    // 清理文本：只保留有效字符
-    const cleaned = text.replace(/[^0-9+\-*/=]/g, '');
+function parseGuessesFromText(text, patterns, rules = {}) {
+    // 清理文本：只保留规则字符集中的字符
+    const symbols = getSymbolSet(rules);
+    const cleaned = text.split('').filter(ch => symbols.includes(ch)).join('');
     
     console.log(`\n📋 OCR原始文本长度: ${text.length}`);
     console.log(`   清理后文本长度: ${cleaned.length}`);
@@ -492,38 +530,15 @@ function parseGuessesFromText(text, patterns) {
     for (let i = 0; i <= cleaned.length - 12; i++) {
         const substr = cleaned.substring(i, i + 12);
         
-        // 基本验证：必须包含等号且只有一个等号
-        const equalCount = (substr.match(/=/g) || []).length;
-        if (equalCount !== 1) continue;
-        
-        // 分割等号两侧
-        const [left, right] = substr.split('=');
+        // 与求解器使用同一套验证（结构、规则配置、精确求值）
+        if (!isValidEquation(substr, rules)) continue;
         
-        // 右侧必须是纯数字或负数
-        if (!right || !/^-?\d+$/.test(right)) continue;
+        // 去重
+        if (seen.has(substr)) continue;
+        seen.add(substr);
         
-        // 左侧不能以运算符开头（除了负号）
-        if (!left || /^[*/=]/.test(left)) continue;
-        
-        // 尝试计算验证
-        try {
-            const leftValue = Function('return ' + left)();
-            const rightValue = parseInt(right);
-            
-            // 等式必须成立
-            if (leftValue !== rightValue) continue;
-            
-            // 去重
-            if (seen.has(substr)) continue;
-            seen.add(substr);
-            
-            candidates.push(substr);
-            console.log(`  ✓ 提取: ${substr} (${left} = ${right})`);
-            
-        } catch (e) {
-            // 无效的表达式，跳过
-            continue;
-        }
+        candidates.push(substr);
+        console.log(`  ✓ 提取: ${substr}`);
     }
     
     console.log(`\n🔍 有效候选等式 ${candidates.length} 个`);
@@ -546,15 +561,15 @@ function parseGuessesFromText(text, patterns) {
             guess = '????????????';
         }
         
-        const fourPatterns = patterns.map(p => p[i] || 'xxxxxxxxxxxx');
+        const rowPatterns = patterns.map(p => p[i] || 'xxxxxxxxxxxx');
         
+        // 单式记录的颜色是字符串，多式是每个目标一个的数组
         guesses.push({
             guess: guess,
-            patterns: fourPatterns,
-            is4Mode: true
+            patterns: rowPatterns.length === 1 ? rowPatterns[0] : rowPatterns
         });
         
-        console.log(`  ✓ 行${i + 1}: ${guess} | [${fourPatterns.map((p, idx) => {
+        console.log(`  ✓ 行${i + 1}: ${guess} | [${rowPatterns.map((p, idx) => {
             const allGreen = p.split('').every(c => c === 'g');
             return allGreen ? `T${idx+1}:全绿` : `T${idx+1}:混合`;
         }).join(', ')}]`);
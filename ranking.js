@@ -0,0 +1,179 @@
+// ranking.js - 候选排序策略
+// 搜索结果的先后顺序由可替换的排序策略决定，这里集中定义内置策略并提供注册接口，
+// 由 solver.js（collectCandidates 等生成器的排序）和 app.js（界面选择、重新排序）共用
+//
+// 可以在自己的脚本里注册策略（在 ranking.js 之后加载，或直接在控制台执行），注册后界面下拉框随即更新：
+//   registerRankingStrategy("fewDigits", {
+//     label: "数字少的优先",
+//     score: (expr) => -(expr.match(/\d/g) || []).length,
+//   });
+// 搜索 Worker 中只有内置策略，界面会在主线程按所选策略重新排序，自定义策略同样生效
+
+/**
+ * 排序策略字段：
+ *   label   - 界面显示名称
+ *   prepare - 可选，(candidates, options) => context：对整组候选统计一次，结果传给 score
+ *   score   - (expr, context, options) => number：分数越高越靠前
+ * options 为 rankCandidates 的配置 {history, rules, tolerance}
+ */
+// 计算信息量时最多把多少个候选当作可能的答案（候选很多时均匀取一部分，避免平方级耗时）
+const RANKING_MAX_ANSWERS = 300;
+
+const RANKING_STRATEGIES = {
+  heuristic: {
+    label: "启发式（字符多样）",
+    score: (expr) => scoreCandidate(expr),
+  },
+  frequency: {
+    label: "位置字符频率",
+    // 每个位置上各字符在候选中出现的比例
+    prepare(candidates) {
+      const freq = [];
+      for (const expr of candidates) {
+        [...expr].forEach((ch, pos) => {
+          freq[pos] = freq[pos] || {};
+          freq[pos][ch] = (freq[pos][ch] || 0) + 1 / candidates.length;
+        });
+      }
+      return freq;
+    },
+    // 各位置字符频率之和：和其余候选重合越多，猜了之后能确认或排除的也越多
+    score: (expr, freq) =>
+      [...expr].reduce(
+        (sum, ch, pos) => sum + ((freq[pos] || {})[ch] || 0),
+        0
+      ),
+  },
+  information: {
+    label: "期望信息量",
+    prepare(candidates) {
+      if (candidates.length <= RANKING_MAX_ANSWERS) return candidates;
+      const step = candidates.length / RANKING_MAX_ANSWERS;
+      return Array.from(
+        { length: RANKING_MAX_ANSWERS },
+        (_, i) => candidates[Math.floor(i * step)]
+      );
+    },
+    // 把该候选当作下一次猜测时，剩余候选按反馈分桶的熵（见 solver.js 的 getFeedbackStats）
+    score: (expr, answers) => getFeedbackStats(expr, answers).entropy,
+  },
+  likelihood: {
+    label: "像真实题目答案",
+    score: (expr) => scoreAnswerLikelihood(expr),
+  },
+};
+
+const DEFAULT_RANKING_STRATEGY = "heuristic";
+
+/**
+ * 估计等式像不像出题人会选的答案：以 Nerdle 经典规则为基准，
+ * 每出现一种"凑数"写法扣分（前导零或右侧补零、单独的 0、一元正负号、乘除 1、负数结果）
+ * @param {string} expr - 等式
+ * @returns {number} 0 或负数，越接近 0 越像
+ */
+function scoreAnswerLikelihood(expr) {
+  const [left, right = ""] = expr.split("=");
+  const tokens = left.match(/\d+|\D/g) || [];
+  let penalty = 0;
+
+  tokens.forEach((token, i) => {
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (/^\d/.test(token)) {
+      if (token.length > 1 && token[0] === "0") penalty += 3;
+      if (token === "0") penalty += 2;
+      if (token === "1" && (prev === "*" || prev === "/" || next === "*")) {
+        penalty += 1;
+      }
+    } else if (
+      (token === "+" || token === "-") &&
+      (prev === undefined || !/[\d)²³]/.test(prev))
+    ) {
+      penalty += 2;
+    }
+  });
+
+  if (right[0] === "-") penalty += 2;
+  const rightDigits = right.replace(/^-/, "");
+  if (rightDigits.length > 1 && rightDigits[0] === "0") penalty += 3;
+
+  // 其余经典规则不允许的情况（如不能整除）
+  if (!validateEquation(expr, RULE_PROFILES.classic).valid) penalty += 1;
+
+  return -penalty;
+}
+
+/**
+ * 按名称获取排序策略，未知名称返回默认策略
+ * @param {string} name - 策略名称
+ * @returns {Object} 排序策略
+ */
+function getRankingStrategy(name) {
+  return (
+    RANKING_STRATEGIES[name] || RANKING_STRATEGIES[DEFAULT_RANKING_STRATEGY]
+  );
+}
+
+/**
+ * 注册（或替换）排序策略
+ * @param {string} name - 策略名称
+ * @param {Object} strategy - {label, prepare?, score}
+ */
+function registerRankingStrategy(name, strategy) {
+  if (!name || typeof name !== "string") {
+    throw new Error("排序策略需要名称");
+  }
+  if (!strategy || typeof strategy.score !== "function") {
+    throw new Error(`排序策略 ${name} 缺少 score 函数`);
+  }
+  RANKING_STRATEGIES[name] = { label: name, ...strategy };
+
+  // 通知界面更新下拉框（Worker 中没有 document）
+  if (typeof document !== "undefined") {
+    document.dispatchEvent(
+      new CustomEvent("rankingstrategieschange", { detail: { name } })
+    );
+  }
+}
+
+/**
+ * 按排序策略排列候选（返回新数组）
+ * 容错搜索时假设录错少的优先（见 solver.js 的 findMismatchedCells）；
+ * 同分时依次按启发式评分、字典序，保证顺序稳定
+ * @param {Array<string>} candidates - 候选
+ * @param {string} [name] - 策略名称，省略或未知时用默认策略
+ * @param {Object} [options] - {history, rules, tolerance}，同时传给策略
+ * @returns {Array<string>} 排好序的候选
+ */
+function rankCandidates(candidates, name, options = {}) {
+  const strategy = getRankingStrategy(name);
+  const context = strategy.prepare
+    ? strategy.prepare(candidates, options)
+    : undefined;
+
+  const keys = new Map();
+  for (const expr of candidates) {
+    const score = Number(strategy.score(expr, context, options));
+    keys.set(expr, {
+      errors: options.tolerance
+        ? countErrors(
+            findMismatchedCells(expr, options.history || []),
+            options.tolerance.unit
+          )
+        : 0,
+      score: Number.isNaN(score) ? -Infinity : score,
+      fallback: scoreCandidate(expr),
+    });
+  }
+
+  return candidates.slice().sort((a, b) => {
+    const ka = keys.get(a);
+    const kb = keys.get(b);
+    return (
+      ka.errors - kb.errors ||
+      kb.score - ka.score ||
+      kb.fallback - ka.fallback ||
+      (a < b ? -1 : a > b ? 1 : 0)
+    );
+  });
+}
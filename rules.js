@@ -0,0 +1,86 @@
+// rules.js - 游戏规则配置
+// 不同的 Nerdle 类游戏对等式合法性的要求不同，这里集中定义成命名的规则配置，
+// 由 solver.js（验证与 DFS 剪枝）、image-ocr.js（OCR 结果过滤）和 app.js（界面选择）共用
+
+/**
+ * 规则配置字段：
+ *   label               - 界面显示名称
+ *   allowLeadingZeros   - 允许数字有前导零（如 05）
+ *   allowUnaryMinus     - 允许左侧出现一元负号（如 -5+8=3、3*-2=-6）
+ *   allowUnaryPlus      - 允许左侧出现一元正号（如 +5-2=3）
+ *   allowLoneZero       - 允许左侧出现单独的 0 作为操作数（如 0+5=5）
+ *   allowNegativeResult - 允许右侧为负数
+ *   exactDivision       - 要求每次除法都能整除
+ *   operators           - 允许的运算符（二元，^ 表示乘方）
+ *   symbols             - 可出现在等式中的全部字符（决定输入、OCR 与 DFS 的字符集）
+ */
+// 默认字符集：数字、四则运算与等号
+const DEFAULT_SYMBOLS = "0123456789+-*/=";
+
+const RULE_PROFILES = {
+  game124: {
+    label: "12*4 游戏",
+    allowLeadingZeros: true,
+    allowUnaryMinus: true,
+    allowUnaryPlus: false,
+    allowLoneZero: true,
+    allowNegativeResult: true,
+    exactDivision: false,
+    operators: "+-*/",
+    symbols: DEFAULT_SYMBOLS,
+  },
+  classic: {
+    label: "Nerdle 经典",
+    allowLeadingZeros: false,
+    allowUnaryMinus: false,
+    allowUnaryPlus: false,
+    allowLoneZero: false,
+    allowNegativeResult: false,
+    exactDivision: true,
+    operators: "+-*/",
+    symbols: DEFAULT_SYMBOLS,
+  },
+  lenient: {
+    label: "宽松",
+    allowLeadingZeros: true,
+    allowUnaryMinus: true,
+    allowUnaryPlus: true,
+    allowLoneZero: true,
+    allowNegativeResult: true,
+    exactDivision: false,
+    operators: "+-*/",
+    symbols: DEFAULT_SYMBOLS,
+  },
+  extended: {
+    label: "扩展符号（括号/乘方）",
+    allowLeadingZeros: true,
+    allowUnaryMinus: true,
+    allowUnaryPlus: false,
+    allowLoneZero: true,
+    allowNegativeResult: true,
+    exactDivision: false,
+    operators: "+-*/^",
+    symbols: DEFAULT_SYMBOLS + "()^²³",
+  },
+};
+
+const DEFAULT_RULE_PROFILE = "game124";
+
+/**
+ * 按名称获取规则配置，未知名称返回默认配置
+ * @param {string} name - 配置名称
+ * @returns {Object} 规则配置（副本）
+ */
+function getRuleProfile(name) {
+  const profile = RULE_PROFILES[name] || RULE_PROFILES[DEFAULT_RULE_PROFILE];
+  return { ...profile };
+}
+
+/**
+ * 获取规则允许的字符集
+ * @param {Object} rules - 规则配置
+ * @returns {string} 字符集
+ */
+function getSymbolSet(rules = {}) {
+  return rules.symbols || DEFAULT_SYMBOLS;
+}
@@ -0,0 +1,317 @@
+// solver-client.js - 主线程侧的搜索客户端
+// 把 DFS 交给 solver-worker.js 在后台线程运行，避免界面卡顿；
+// 多式模式下每个目标各用一个 Worker，真正并行
+// 无法创建 Worker 时（如通过 file:// 打开页面）自动退回主线程搜索
+
+const SOLVER_WORKER_URL = "solver-worker.js";
+
+// 主线程降级时的计数时间预算（毫秒），避免长时间卡住界面
+const MAIN_THREAD_COUNT_BUDGET = 300;
+
+/**
+ * 创建搜索 Worker，不支持时返回 null
+ * @returns {Worker|null}
+ */
+function createSolverWorker() {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker(SOLVER_WORKER_URL);
+  } catch (error) {
+    console.warn("无法创建搜索 Worker，改用主线程搜索:", error.message);
+    return null;
+  }
+}
+
+/**
+ * 运行一次候选搜索（参数与 collectCandidates 相同）
+ * @param {Object} constraints - 约束对象
+ * @param {Object} options - {length, maxResults, history, rules, tolerance, cursor, sample, signal, onProgress, onCount}
+ *   onCount 在搜索未取消时收到候选总数 {count, exact, method, elapsed}（见 countAfterSearch），
+ *   计数在结果之后进行，onCount 在 Promise 完成之后才调用；之后中止 signal 即放弃计数；
+ *   带 cursor 继续搜索时不计数；带 sample 时改为随机抽样（见 sampleCandidates）
+ * @returns {Promise<Object>} {results, cursor, complete}：cursor 见 collectCandidates，
+ *   complete 表示 results 已是全部候选
+ */
+function runSearch(constraints, options) {
+  const worker = createSolverWorker();
+  if (!worker) {
+    return searchOnMainThread(constraints, options);
+  }
+
+  const { signal = null, onProgress = null, onCount = null } = options;
+
+  return new Promise((resolve, reject) => {
+    let received = false;
+    let resolved = false;
+
+    // 调用方中止时转发给 Worker，Worker 会返回已找到的部分结果与中断位置的游标；
+    // 结果已经返回时只剩计数，直接结束 Worker
+    const onAbort = () => {
+      if (resolved) finish();
+      else worker.postMessage({ type: "cancel" });
+    };
+
+    function finish() {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      worker.terminate();
+    }
+
+    worker.onmessage = (e) => {
+      received = true;
+      const message = e.data;
+
+      switch (message.type) {
+        case "progress": {
+          if (onProgress) {
+            const { type, ...progress } = message;
+            onProgress(progress);
+          }
+          break;
+        }
+        case "count": {
+          finish();
+          if (onCount) {
+            const { type, ...count } = message;
+            onCount(count);
+          }
+          break;
+        }
+        case "result":
+          resolved = true;
+          if (!message.counting) finish();
+          resolve({
+            results: message.results,
+            cursor: message.cursor,
+            complete: message.complete,
+          });
+          break;
+        case "error":
+          finish();
+          reject(new Error(message.message));
+          break;
+      }
+    };
+
+    worker.onerror = (e) => {
+      finish();
+      if (!received) {
+        // 脚本加载失败（如 file:// 下的同源限制），退回主线程
+        console.warn("搜索 Worker 启动失败，改用主线程搜索:", e.message);
+        e.preventDefault();
+        searchOnMainThread(constraints, options).then(resolve, reject);
+      } else {
+        reject(new Error(e.message || "搜索 Worker 出错"));
+      }
+    };
+
+    worker.postMessage({
+      type: "start",
+      constraints,
+      options: {
+        length: options.length,
+        maxResults: options.maxResults,
+        history: options.history,
+        rules: options.rules,
+        tolerance: options.tolerance,
+        cursor: options.cursor,
+        sample: options.sample,
+      },
+    });
+
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort);
+    }
+  });
+}
+
+/**
+ * 在 Worker 中估计候选数与搜索耗时（见 solver.js 的 estimateCandidates）
+ * 随机探测加校准搜索每次约 200ms，多式模式每个目标一次，放在后台避免界面卡住
+ * @param {Object} constraints - 约束对象
+ * @param {Object} options - {length, history, rules, tolerance}
+ * @returns {Promise<Object>} 估计结果
+ */
+function runEstimate(constraints, options) {
+  const estimateOptions = {
+    length: options.length,
+    history: options.history,
+    rules: options.rules,
+    tolerance: options.tolerance,
+  };
+  return runWorkerTask(
+    { type: "estimate", constraints, options: estimateOptions },
+    "estimate",
+    () => estimateCandidates(constraints, estimateOptions)
+  );
+}
+
+/**
+ * 在 Worker 中做残局规划（见 solver.js 的 planEndgame），多式且候选多时模拟要几秒
+ * @param {Array<Array<string>>} targets - 各未解决目标的剩余候选
+ * @param {Object} options - planEndgame 的配置，另可带 signal（中止时结束计算）
+ * @returns {Promise<Object>} 同 planEndgame；中止时以 AbortError 拒绝
+ */
+function runEndgame(targets, options) {
+  const { signal = null, ...planOptions } = options;
+  return runWorkerTask(
+    { type: "endgame", targets, options: planOptions },
+    "plan",
+    () => planEndgame(targets, planOptions),
+    signal
+  );
+}
+
+/**
+ * 在 Worker 中构建最优决策树（见 solver.js 的 buildDecisionTree），精确搜索可能要几秒
+ * @param {Array<string>} candidates - 剩余候选
+ * @param {Object} options - buildDecisionTree 的配置，另可带 signal（中止时结束计算）
+ * @returns {Promise<Object|null>} 同 buildDecisionTree；中止时以 AbortError 拒绝
+ */
+function runDecisionTree(candidates, options) {
+  const { signal = null, ...treeOptions } = options;
+  return runWorkerTask(
+    { type: "decisionTree", candidates, options: treeOptions },
+    "tree",
+    () => buildDecisionTree(candidates, treeOptions),
+    signal
+  );
+}
+
+/**
+ * 在 Worker 中为下一步猜测打分（见 solver.js 的 recommendGuesses），
+ * 猜测池含试探等式时要对每个猜测与每个候选计算反馈
+ * @param {Array<string>} candidates - 剩余候选
+ * @param {Object} options - recommendGuesses 的配置，另可带 signal（中止时结束计算）
+ * @returns {Promise<Array>} 同 recommendGuesses；中止时以 AbortError 拒绝
+ */
+function runRecommend(candidates, options) {
+  const { signal = null, ...recommendOptions } = options;
+  return runWorkerTask(
+    { type: "recommend", candidates, options: recommendOptions },
+    "ranked",
+    () => recommendGuesses(candidates, recommendOptions),
+    signal
+  );
+}
+
+/**
+ * 在 Worker 中做多式联合推荐（见 solver.js 的 recommendJointGuesses）
+ * @param {Array<Array<string>>} targets - 各未解决目标的剩余候选
+ * @param {Object} options - recommendJointGuesses 的配置，另可带 signal（中止时结束计算）
+ * @returns {Promise<Array>} 同 recommendJointGuesses；中止时以 AbortError 拒绝
+ */
+function runJointRecommend(targets, options) {
+  const { signal = null, ...recommendOptions } = options;
+  return runWorkerTask(
+    { type: "recommendJoint", targets, options: recommendOptions },
+    "ranked",
+    () => recommendJointGuesses(targets, recommendOptions),
+    signal
+  );
+}
+
+/**
+ * 在 Worker 中运行一次性的同步计算，结果在与请求同类型的消息中返回（字段名为 key）
+ * 计算中途无法检查取消信号，中止 signal 时直接结束 Worker；
+ * 无法创建 Worker 或脚本加载失败时改在主线程运行 fallback
+ * @param {Object} message - 发给 Worker 的消息 {type, ...}
+ * @param {string} key - 结果在回应消息中的字段名
+ * @param {Function} fallback - 主线程降级时的计算
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<*>} 计算结果；中止时以 AbortError 拒绝
+ */
+function runWorkerTask(message, key, fallback, signal = null) {
+  if (signal && signal.aborted) return Promise.reject(createAbortError());
+
+  const worker = createSolverWorker();
+  if (!worker) {
+    return runTaskOnMainThread(fallback, signal);
+  }
+
+  return new Promise((resolve, reject) => {
+    let received = false;
+
+    const onAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    function finish() {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      worker.terminate();
+    }
+
+    worker.onmessage = (e) => {
+      received = true;
+      finish();
+      if (e.data.type === message.type) resolve(e.data[key]);
+      else reject(new Error(e.data.message));
+    };
+
+    worker.onerror = (e) => {
+      finish();
+      if (!received) {
+        console.warn(
+          `Worker 启动失败，改在主线程计算（${message.type}）:`,
+          e.message
+        );
+        e.preventDefault();
+        runTaskOnMainThread(fallback, signal).then(resolve, reject);
+      } else {
+        reject(new Error(e.message || "Worker 出错"));
+      }
+    };
+
+    worker.postMessage(message);
+    if (signal) signal.addEventListener("abort", onAbort);
+  });
+}
+
+/**
+ * 主线程降级计算：先让出一次主线程，让界面上的提示先显示出来；开始之后无法取消
+ */
+async function runTaskOnMainThread(compute, signal) {
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  if (signal && signal.aborted) throw createAbortError();
+  return compute();
+}
+
+// 取消时 Promise 拒绝用的错误，调用方按 name 区分取消与出错
+function createAbortError() {
+  const error = new Error("已取消");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * 主线程降级搜索：与 Worker 中的流程相同，只是计数的时间预算更短
+ */
+async function searchOnMainThread(constraints, options) {
+  const search = options.sample ? sampleCandidates : collectCandidates;
+  const {
+    results,
+    cursor = null,
+    complete = cursor === null,
+    count = null,
+  } = await search(constraints, options);
+
+  // 与 Worker 一样先返回结果，再在后台计数
+  if (
+    options.onCount &&
+    !options.cursor &&
+    !(options.signal && options.signal.aborted)
+  ) {
+    (count
+      ? Promise.resolve(count)
+      : countAfterSearch(results, constraints, {
+          ...options,
+          timeBudgetMs: MAIN_THREAD_COUNT_BUDGET,
+        })
+    ).then((info) => {
+      if (!(options.signal && options.signal.aborted)) options.onCount(info);
+    });
+  }
+
+  return { results, cursor, complete };
+}
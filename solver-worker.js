@@ -0,0 +1,124 @@
+// solver-worker.js - 在 Web Worker 中运行 DFS 搜索与残局规划等耗时计算
+// 由 solver-client.js 创建，每个搜索（单式或多式中的一个目标）独占一个 Worker
+//
+// 消息协议（主线程 → Worker）：
+//   {type: "start", constraints, options: {length, maxResults, history, rules, tolerance, cursor?, sample?}}
+//   （带 sample {seed, weight} 时改为随机抽样，见 sampleCandidates）
+//   {type: "estimate", constraints, options: {length, history, rules, tolerance}}
+//   （只估计候选数与搜索耗时，见 estimateCandidates）
+//   {type: "endgame", targets, options}（残局规划，见 planEndgame）
+//   {type: "decisionTree", candidates, options}（最优决策树，见 buildDecisionTree）
+//   {type: "recommend", candidates, options}（下一步推荐，见 recommendGuesses）
+//   {type: "recommendJoint", targets, options}（多式联合推荐，见 recommendJointGuesses）
+//   {type: "cancel"}
+// 消息协议（Worker → 主线程）：
+//   {type: "progress", found, explored, current, newResult?}
+//   {type: "result", results, cursor, complete, cancelled, counting}
+//   （cursor 为继续搜索用的游标，没有可继续的部分时为 null；complete 表示 results 已是全部候选；
+//   counting 为 true 时之后还会发送 count）
+//   {type: "count", count, exact, method, elapsed, estimate?}（未取消且不是继续搜索时，在 result 之后发送；
+//   计数期间收到 cancel 则不再发送；计数超时时附带估计，见 countAfterSearch）
+//   {type: "estimate", estimate}（回应 estimate 请求）
+//   {type: "endgame", plan}（回应 endgame 请求）
+//   {type: "decisionTree", tree}（回应 decisionTree 请求）
+//   {type: "recommend", ranked}、{type: "recommendJoint", ranked}（回应推荐请求）
+//   除 start 外都是一次性的同步计算，不响应 cancel，取消时主线程直接结束 Worker
+//   {type: "error", message}
+//
+// constraints 中的 Set 由结构化克隆原样传递，无需手动序列化
+
+importScripts("rules.js", "expression.js", "solver.js", "ranking.js");
+
+let controller = new AbortController();
+
+// 一次性计算：结果放在与请求同类型的消息中返回，出错时返回 error
+function respond(type, key, compute) {
+  try {
+    self.postMessage({ type, [key]: compute() });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+}
+
+self.onmessage = async (e) => {
+  const message = e.data;
+
+  switch (message.type) {
+    case "start": {
+      controller = new AbortController();
+      try {
+        const search = message.options.sample
+          ? sampleCandidates
+          : collectCandidates;
+        const {
+          results,
+          cursor = null,
+          complete = cursor === null,
+          count = null,
+        } = await search(message.constraints, {
+          ...message.options,
+          signal: controller.signal,
+          onProgress: (progress) => {
+            self.postMessage({ type: "progress", ...progress });
+          },
+        });
+        // 继续搜索时本页结果不代表全部，总数沿用第一次搜索的计数；抽样时顺带得到了总数
+        const cancelled = controller.signal.aborted;
+        const counting = !cancelled && !message.options.cursor;
+        self.postMessage({
+          type: "result",
+          results,
+          cursor,
+          complete,
+          cancelled,
+          counting,
+        });
+
+        // 先交出结果再计数：计数分段进行，期间仍能响应取消
+        if (counting) {
+          const info =
+            count ||
+            (await countAfterSearch(results, message.constraints, {
+              ...message.options,
+              signal: controller.signal,
+            }));
+          if (!controller.signal.aborted) {
+            self.postMessage({ type: "count", ...info });
+          }
+        }
+      } catch (error) {
+        self.postMessage({ type: "error", message: error.message });
+      }
+      break;
+    }
+    case "estimate":
+      respond("estimate", "estimate", () =>
+        estimateCandidates(message.constraints, message.options)
+      );
+      break;
+    case "endgame":
+      respond("endgame", "plan", () =>
+        planEndgame(message.targets, message.options)
+      );
+      break;
+    case "decisionTree":
+      respond("decisionTree", "tree", () =>
+        buildDecisionTree(message.candidates, message.options)
+      );
+      break;
+    case "recommend":
+      respond("recommend", "ranked", () =>
+        recommendGuesses(message.candidates, message.options)
+      );
+      break;
+    case "recommendJoint":
+      respond("recommendJoint", "ranked", () =>
+        recommendJointGuesses(message.targets, message.options)
+      );
+      break;
+    case "cancel":
+      // 搜索引擎每 50ms 让出一次控制权，届时会检查取消信号
+      controller.abort();
+      break;
+  }
+};
@@ -2,285 +2,756 @@
 // 纯函数实现，不依赖 DOM
 
 /**
- * 验证等式是否合法
+ * 验证等式并给出失败原因
  * @param {string} expr - 等式字符串
- * @returns {boolean}
+ * @param {Object} [rules] - 规则配置（见 rules.js），未指定的规则视为允许
+ * @returns {Object} {valid, reason, leftValue}，leftValue 为左侧的有理数值（无法求值时为 null）
  */
-function isValidEquation(expr) {
+function validateEquation(expr, rules = {}) {
+  const fail = (reason, leftValue = null) => ({
+    valid: false,
+    reason,
+    leftValue,
+  });
+
   // 基本长度和字符检查
-  if (!expr || expr.length < 5) return false;
+  if (!expr || expr.length < 5) return fail("等式长度不足 5");
 
-  // 只允许数字和运算符
-  if (!/^[0-9+\-*/=]+$/.test(expr)) return false;
+  // 只允许规则字符集中的字符
+  const symbols = getSymbolSet(rules);
+  for (const ch of expr) {
+    if (!symbols.includes(ch)) return fail(`包含非法字符 '${ch}'`);
+  }
 
   // 必须恰好有一个等号，且不在首末
   const equalCount = (expr.match(/=/g) || []).length;
-  if (equalCount !== 1) return false;
-  if (expr[0] === "=" || expr[expr.length - 1] === "=") return false;
-
-  // 分割左右两侧
-  const parts = expr.split("=");
-  if (parts.length !== 2) return false;
-
-  const [left, right] = parts;
+  if (equalCount !== 1) return fail("必须恰好有一个等号");
+  if (expr[0] === "=" || expr[expr.length - 1] === "=") {
+    return fail("等号不能在首末");
+  }
 
-  // 左右侧不能为空
-  if (!left || !right) return false;
+  const [left, right] = expr.split("=");
 
   // 右侧只能是纯数字或负数
-  if (!/^-?\d+$/.test(right)) return false;
+  if (!/^-?\d+$/.test(right)) return fail("右侧只能是整数");
+  if (right[0] === "-" && rules.allowNegativeResult === false) {
+    return fail("右侧不能为负数");
+  }
+  const rightDigits = right.replace(/^-/, "");
+  if (
+    rules.allowLeadingZeros === false &&
+    rightDigits.length > 1 &&
+    rightDigits[0] === "0"
+  ) {
+    return fail(`右侧 ${right} 有前导零`);
+  }
 
   // 左侧不能以 * / 开头
-  if (left[0] === "*" || left[0] === "/") return false;
+  if (left[0] === "*" || left[0] === "/") {
+    return fail("左侧不能以 * 或 / 开头");
+  }
 
-  // 尝试求值
-  try {
-    // 严格限制输入，防止注入
-    if (!/^[0-9+\-*/]+$/.test(left)) return false;
+  // 用有理数精确求值（不使用 Function，见 expression.js）
+  const leftResult = evaluateExpression(left, {
+    exactDivision: rules.exactDivision,
+  });
+  if (!leftResult.ok) return fail(`左侧无法求值：${leftResult.error}`);
+
+  const violation = findRuleViolation(leftResult.tree, rules);
+  if (violation) return fail(violation, leftResult.value);
+
+  // 右侧按整数字面量精确解析（超出安全范围时为 BigInt）
+  if (!rationalEquals(leftResult.value, parseIntegerRational(right))) {
+    return fail(
+      `左侧等于 ${rationalToString(leftResult.value)}，不等于 ${right}`,
+      leftResult.value
+    );
+  }
+
+  return { valid: true, reason: null, leftValue: leftResult.value };
+}
 
-    const leftValue = Function("return " + left)();
-    const rightValue = parseInt(right, 10);
+/**
+ * 验证等式是否合法
+ * @param {string} expr - 等式字符串
+ * @param {Object} [rules] - 规则配置（见 rules.js）
+ * @returns {boolean}
+ */
+function isValidEquation(expr, rules = {}) {
+  return validateEquation(expr, rules).valid;
+}
 
-    // 检查是否为有效数字
-    if (!Number.isFinite(leftValue) || !Number.isFinite(rightValue)) {
+/**
+ * DFS 剪枝：按规则配置判断能否在前缀之后放置字符
+ * @param {string} current - 已放置的前缀
+ * @param {string} ch - 待放置的字符
+ * @param {Object} rules - 规则配置（见 rules.js）
+ * @returns {boolean} true 表示违反规则，应剪枝
+ */
+function violatesRules(current, ch, rules) {
+  const lastChar = current ? current[current.length - 1] : null;
+
+  if (ch === "-" || ch === "+") {
+    // 在开头、运算符、左括号、乘方号或等号之后出现时是正负号
+    const isSign = lastChar === null || "+-*/^(=".includes(lastChar);
+    if (isSign) {
+      if (lastChar === "=") {
+        if (ch === "-" && rules.allowNegativeResult === false) return true;
+      } else if (ch === "-" && rules.allowUnaryMinus === false) {
+        return true;
+      } else if (ch === "+" && rules.allowUnaryPlus === false) {
+        return true;
+      }
       return false;
     }
+  }
+
+  if ("+-*/^".includes(ch) && rules.operators && !rules.operators.includes(ch)) {
+    return true;
+  }
+
+  // 前导零：当前数字只有一个 0 时不能再接数字
+  if (
+    rules.allowLeadingZeros === false &&
+    /\d/.test(ch) &&
+    lastChar === "0" &&
+    !/\d/.test(current[current.length - 2] || "")
+  ) {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * DFS 剪枝：运算符衔接、括号、乘方等结构检查（与规则配置无关）
+ * 只拒绝必然无法解析的前缀，不会剪掉任何合法路径
+ * @param {string} current - 已放置的前缀
+ * @param {string} ch - 待放置的字符
+ * @param {number} length - 等式总长度
+ * @returns {boolean} true 表示结构非法，应剪枝
+ */
+function violatesStructure(current, ch, length) {
+  const lastChar = current ? current[current.length - 1] : null;
+  // 上一个字符是否结束了一个操作数（数字、右括号或 ² ³）
+  const afterOperand = lastChar !== null && /[0-9)²³]/.test(lastChar);
+  const hasEqual = current.includes("=");
+
+  let depth = 0;
+  for (const c of current) {
+    if (c === "(") depth++;
+    else if (c === ")") depth--;
+  }
+
+  // 右侧只能是整数
+  if (hasEqual && "()^²³".includes(ch)) return true;
+
+  // 运算符之后只能跟一元正负号，且不能是 -- / ++ 或连续两个符号（如 -+3）
+  if ("+-*/".includes(ch) && lastChar !== null && "+-*/".includes(lastChar)) {
+    const beforeLast = current[current.length - 2];
+    const lastIsBinary = beforeLast !== undefined && /[0-9)²³]/.test(beforeLast);
+    if (!"+-".includes(ch) || ch === lastChar || !lastIsBinary) return true;
+  }
 
-    // 验证等式成立
-    return leftValue === rightValue;
-  } catch (e) {
-    return false;
+  switch (ch) {
+    case "(":
+      if (afterOperand) return true;
+      depth++;
+      break;
+    case ")":
+      if (depth === 0 || !afterOperand) return true;
+      depth--;
+      break;
+    case "^":
+      if (!afterOperand) return true;
+      break;
+    case "²":
+    case "³":
+      if (!afterOperand || "²³".includes(lastChar)) return true;
+      break;
+    case "=":
+      if (depth > 0 || !afterOperand) return true;
+      break;
+    case "*":
+    case "/":
+      if (lastChar === null || lastChar === "(" || lastChar === "^") {
+        return true;
+      }
+      break;
+    default:
+      // 右括号、² ³ 之后不能直接跟数字
+      if (/\d/.test(ch) && lastChar && /[)²³]/.test(lastChar)) return true;
   }
+
+  // 剩余位置要放得下未闭合的右括号、等号和至少一位右侧数字
+  const remaining = length - current.length - 1;
+  if (!hasEqual && depth > 0 && depth + 2 > remaining) return true;
+
+  return false;
 }
 
 /**
- * 检查新的颜色反馈是否与已有约束矛盾
- * @param {string} guess - 猜测字符串
- * @param {string|Array} patterns - 颜色模式（单式为字符串，4式为数组）
- * @param {Object} existingConstraints - 已有约束
- * @returns {Object} {valid: boolean, error: string}
+ * 计算猜测相对于答案的颜色反馈（与游戏规则一致）
+ * 重复字符的处理：先标记所有位置正确的字符为绿色，
+ * 再按从左到右的顺序，用答案中剩余（未被绿色占用）的字符数分配黄色，
+ * 超出部分为灰色。例如答案 `1+1=2` 中只有两个 `1`，
+ * 猜测 `11+1=...` 中最多只有两个 `1` 会是绿/黄
+ * @param {string} guess - 猜测等式
+ * @param {string} answer - 答案等式（长度须与猜测相同）
+ * @returns {string} 颜色模式（g/y/x）
  */
-function checkPatternConsistency(guess, patterns, existingConstraints) {
-  // 如果是数组（4式模式），只检查第一个（或可以全检查）
-  const pattern = Array.isArray(patterns) ? patterns[0] : patterns;
+function computeFeedback(guess, answer) {
+  const result = Array(guess.length).fill("x");
+  const remaining = {};
 
-  if (!pattern || pattern.length !== guess.length) {
-    return { valid: false, error: "颜色模式长度不匹配" };
+  // 先标记绿色，统计答案中未被匹配的字符
+  for (let i = 0; i < guess.length; i++) {
+    if (guess[i] === answer[i]) {
+      result[i] = "g";
+    } else {
+      remaining[answer[i]] = (remaining[answer[i]] || 0) + 1;
+    }
   }
 
-  // 检查每个位置
+  // 再从左到右分配黄色
   for (let i = 0; i < guess.length; i++) {
+    if (result[i] === "g") continue;
     const ch = guess[i];
-    const color = pattern[i];
-
-    // 检查绿色位置冲突
-    if (existingConstraints.greens[i]) {
-      if (existingConstraints.greens[i] !== ch) {
-        // 如果该位置已经固定为其他字符，当前猜测不应该在这个位置
-        if (color === "g") {
-          return {
-            valid: false,
-            error: `位置 ${i + 1} 已固定为 '${
-              existingConstraints.greens[i]
-            }'，但标记 '${ch}' 为绿色`,
-          };
-        }
-      } else {
-        // 如果该位置已经固定为该字符，必须是绿色
-        if (color !== "g") {
-          return {
-            valid: false,
-            error: `位置 ${i + 1} 已固定为 '${ch}'，应标记为绿色`,
-          };
-        }
+    if (remaining[ch] > 0) {
+      result[i] = "y";
+      remaining[ch]--;
+    }
+  }
+
+  return result.join("");
+}
+
+/**
+ * 检查候选是否与完整猜测历史精确一致
+ * 逐条用 computeFeedback 重新计算反馈并与记录比较，
+ * 不经过约束对象，因此不会丢失任何信息
+ * @param {string} candidate - 候选等式
+ * @param {Array} history - 猜测历史 [{guess, patterns, solved}]（格式同 buildConstraintsFromGuesses）
+ * @returns {boolean}
+ */
+function isConsistent(candidate, history) {
+  for (const { guess, patterns, solved } of history) {
+    // 与 buildConstraintsFromGuesses 一致：跳过已解决的猜测
+    if (solved) continue;
+
+    const pattern = Array.isArray(patterns) ? patterns[0] : patterns;
+    if (!pattern || pattern.length !== guess.length) continue;
+    if (candidate.length !== guess.length) return false;
+
+    if (computeFeedback(guess, candidate) !== pattern) return false;
+  }
+
+  return true;
+}
+
+/**
+ * 找出候选与历史反馈不一致的格子：假设候选是答案，逐行重新计算反馈并与记录比较
+ * 容错搜索用它判断错误数，并标注每个结果假设哪些格子录错了
+ * @param {string} candidate - 候选等式
+ * @param {Array} history - 猜测历史 [{guess, patterns, solved}]（与 isConsistent 相同，跳过已解决的行）
+ * @returns {Array} [{row, pos, entered, actual}]，entered 为记录的颜色，actual 为按候选算出的颜色
+ */
+function findMismatchedCells(candidate, history) {
+  const cells = [];
+
+  history.forEach(({ guess, patterns, solved }, row) => {
+    if (solved) return;
+    const pattern = Array.isArray(patterns) ? patterns[0] : patterns;
+    if (!pattern || pattern.length !== guess.length) return;
+    if (guess.length !== candidate.length) return;
+
+    const actual = computeFeedback(guess, candidate);
+    for (let pos = 0; pos < guess.length; pos++) {
+      if (actual[pos] !== pattern[pos]) {
+        cells.push({ row, pos, entered: pattern[pos], actual: actual[pos] });
       }
     }
+  });
+
+  return cells;
+}
+
+/**
+ * 错误数：按格子计为格子数，按整行计为涉及的行数
+ * @param {Array} cells - findMismatchedCells 的结果
+ * @param {string} unit - "cell" 或 "row"
+ */
+function countErrors(cells, unit) {
+  return unit === "row" ? new Set(cells.map((c) => c.row)).size : cells.length;
+}
+
+/**
+ * 用精确反馈函数筛选已有候选：历史只会增加行，符合新历史的候选一定在旧历史的候选之中，
+ * 因此上一次完整（未截断、未取消）的结果筛选后就是新的完整结果，无需重新搜索
+ * @param {Array} candidates - 上一次的候选
+ * @param {Array} history - 当前完整历史
+ * @param {Object} [options] - {tolerance}，容错搜索时按错误数筛选（见 solve）
+ * @returns {Array} 仍然符合历史的候选（保持原顺序）
+ */
+function filterCandidates(candidates, history, options = {}) {
+  const { tolerance = null } = options;
+  return candidates.filter((candidate) =>
+    tolerance
+      ? countErrors(findMismatchedCells(candidate, history), tolerance.unit) <=
+        tolerance.maxErrors
+      : isConsistent(candidate, history)
+  );
+}
+
+/**
+ * 找出历史中无法同时成立的最小一组颜色格子（用于定位颜色标记错误）
+ * 先确认全部格子互相矛盾，再逐个尝试去掉格子：去掉后仍矛盾就不再保留，
+ * 最终剩下的格子缺一不可（相对于 cellsContradict 能识别的矛盾而言）
+ * 只分析颜色反馈之间的逻辑矛盾；反馈自洽、只是没有合法等式的情况不在此列
+ * @param {Array} guesses - 猜测历史 [{guess, patterns, skipped}]，skipped 的行不参与
+ * @param {number} length - 等式长度
+ * @param {Object} [rules] - 规则配置（见 rules.js）
+ * @returns {Array|null} 矛盾格子 [{row, pos}]（row 为 guesses 下标），没有矛盾时返回 null
+ */
+function findConflictCells(guesses, length, rules = {}) {
+  const symbols = getSymbolSet(rules);
+  const rows = guesses.map(({ guess, patterns, skipped }) => {
+    const pattern = Array.isArray(patterns) ? patterns[0] : patterns;
+    if (skipped || !pattern || pattern.length !== length) return null;
+    if (guess.length !== length) return null;
+    return { guess, pattern };
+  });
+
+  // 每行已知（参与分析）的格子位置
+  const known = rows.map((row) =>
+    row ? new Set(Array.from({ length }, (_, i) => i)) : new Set()
+  );
+
+  if (!cellsContradict(rows, known, length, symbols)) return null;
+
+  rows.forEach((row, r) => {
+    if (!row) return;
+    for (let i = 0; i < length; i++) {
+      known[r].delete(i);
+      if (!cellsContradict(rows, known, length, symbols)) known[r].add(i);
+    }
+  });
+
+  const cells = [];
+  known.forEach((positions, row) => {
+    for (const pos of [...positions].sort((a, b) => a - b)) {
+      cells.push({ row, pos });
+    }
+  });
+  return cells;
+}
+
+/**
+ * 判断一组已知颜色格子能否同时成立（只根据已知格子推出必然成立的事实）：
+ *   - 绿格：该位置是该字符；黄/灰格：该位置不是该字符
+ *   - 某行已知的绿+黄个数是该字符出现次数的下限
+ *   - 灰格之前该字符的出现数，加上灰格之后可能为绿的出现数，是次数上限
+ *   - 同一行同一字符的黄格不能在灰格之后
+ * 然后检查位置冲突、次数上下限、可用位置数与总长度
+ * @returns {boolean} true 表示必然矛盾
+ */
+function cellsContradict(rows, known, length, symbols) {
+  const greenAt = Array(length).fill(null);
+  const forbidden = Array.from({ length }, () => new Set());
+  const minCounts = {};
+  const maxCounts = {};
+
+  for (let r = 0; r < rows.length; r++) {
+    if (!rows[r] || known[r].size === 0) continue;
+    const { guess, pattern } = rows[r];
+    const occurrences = {};
+
+    for (let i = 0; i < length; i++) {
+      const ch = guess[i];
+      if (!occurrences[ch]) occurrences[ch] = [];
+      occurrences[ch].push(i);
+      if (!known[r].has(i)) continue;
 
-    // 检查字符是否在排除列表中
-    if (existingConstraints.excluded.has(ch)) {
-      if (color === "g" || color === "y") {
-        return {
-          valid: false,
-          error: `字符 '${ch}' 已被排除，不应标记为绿色或黄色`,
-        };
+      if (pattern[i] === "g") {
+        if (greenAt[i] !== null && greenAt[i] !== ch) return true;
+        greenAt[i] = ch;
+      } else {
+        forbidden[i].add(ch);
       }
     }
 
-    // 检查黄色禁止位置（该字符曾在此位置被标记为黄色，说明答案中该字符不在此位置）
-    if (existingConstraints.yellowForbiddenPositions[ch]?.has(i)) {
-      if (color === "g") {
-        return {
-          valid: false,
-          error: `字符 '${ch}' 在位置 ${
-            i + 1
-          } 已被禁止（之前标记为黄色），不应标记为绿色`,
-        };
+    for (const [ch, positions] of Object.entries(occurrences)) {
+      let present = 0;
+      let firstGray = -1;
+      for (const i of positions) {
+        if (!known[r].has(i)) continue;
+        if (pattern[i] === "g") present++;
+        else if (pattern[i] === "y") {
+          if (firstGray >= 0) return true;
+          present++;
+        } else if (firstGray < 0) firstGray = i;
+      }
+      minCounts[ch] = Math.max(minCounts[ch] || 0, present);
+
+      if (firstGray >= 0) {
+        // 灰格之后已知不是绿色的出现不计入上限
+        const max = positions.filter(
+          (i) =>
+            i < firstGray ||
+            (i > firstGray && !(known[r].has(i) && pattern[i] !== "g"))
+        ).length;
+        maxCounts[ch] = Math.min(maxCounts[ch] ?? Infinity, max);
       }
-      // 黄色是允许的（再次确认该字符不在此位置）
     }
   }
 
-  // 检查字符出现次数是否超过上限
-  const charCounts = {};
-  for (let i = 0; i < guess.length; i++) {
-    const ch = guess[i];
-    const color = pattern[i];
-
-    if (color === "g" || color === "y") {
-      charCounts[ch] = (charCounts[ch] || 0) + 1;
+  const greenCounts = {};
+  for (let i = 0; i < length; i++) {
+    const ch = greenAt[i];
+    if (ch === null) {
+      if (symbols.split("").every((s) => forbidden[i].has(s))) return true;
+      continue;
     }
+    if (forbidden[i].has(ch)) return true;
+    greenCounts[ch] = (greenCounts[ch] || 0) + 1;
   }
 
-  for (const [ch, count] of Object.entries(charCounts)) {
-    if (existingConstraints.maxCounts[ch] !== undefined) {
-      if (count > existingConstraints.maxCounts[ch]) {
-        return {
-          valid: false,
-          error: `字符 '${ch}' 标记为绿/黄的次数 (${count}) 超过已知上限 (${existingConstraints.maxCounts[ch]})`,
-        };
+  let totalMin = 0;
+  for (const ch of new Set([
+    ...Object.keys(minCounts),
+    ...Object.keys(greenCounts),
+  ])) {
+    const min = Math.max(minCounts[ch] || 0, greenCounts[ch] || 0);
+    if (min > (maxCounts[ch] ?? Infinity)) return true;
+
+    let available = 0;
+    for (let i = 0; i < length; i++) {
+      if (greenAt[i] === null ? !forbidden[i].has(ch) : greenAt[i] === ch) {
+        available++;
       }
     }
+    if (min > available) return true;
+    totalMin += min;
   }
 
-  return { valid: true };
+  return totalMin > length;
 }
 
 /**
  * 从猜测历史构建约束对象
- * @param {Array} guesses - 猜测历史 [{guess, patterns}]
+ * 与 computeFeedback 的语义完全一致（候选满足约束当且仅当与每条历史的反馈相同）：
+ *   - 绿色位置只能是该字符，非绿色位置不能是猜测中的字符
+ *   - 字符 c 在某行有 g 个绿、y 个黄：答案中 c 至少 g+y 个；该行还有灰色时恰好 g+y 个
+ *   - 同一行同一字符的黄色必须都在灰色之前（computeFeedback 从左到右分配黄色）
+ * 每条事实都记录来源行号（guesses 中的下标），见 provenance；无法同时成立的事实记入 conflicts
+ * @param {Array} guesses - 猜测历史 [{guess, patterns, solved}]
  * @param {number} length - 等式长度
- * @returns {Object} 约束对象
+ * @param {Object} [rules] - 规则配置（见 rules.js），决定每个位置的初始字符集
+ * @returns {Object} 约束对象：
+ *   allowed: Set[]              每个位置可能的字符
+ *   minCounts: {ch: n}          字符总出现次数下限（含绿色位置）
+ *   maxCounts: {ch: n}          字符总出现次数上限（0 表示不存在）
+ *   exactCounts: {ch: n}        上下限相等的字符
+ *   provenance: {greens, forbidden, minCounts, maxCounts}  各事实的来源行号
+ *   conflicts: [{message, rows}]  历史中互相矛盾的事实
+ *   greens / excluded / yellowForbiddenPositions  由上面推出的简化视图
  */
-function buildConstraintsFromGuesses(guesses, length) {
+function buildConstraintsFromGuesses(guesses, length, rules = {}) {
+  const symbols = getSymbolSet(rules);
   const constraints = {
-    greens: Array(length).fill(null),
-    requiredCounts: {},
+    allowed: Array.from({ length }, () => new Set(symbols)),
+    minCounts: {},
     maxCounts: {},
+    exactCounts: {},
+    provenance: {
+      greens: Array(length).fill(null), // 位置 -> 标出绿色的行号
+      forbidden: Array.from({ length }, () => ({})), // 位置 -> {ch: 排除它的行号}
+      minCounts: {}, // ch -> 给出最紧下限的行号
+      maxCounts: {}, // ch -> 给出最紧上限的行号
+    },
+    conflicts: [],
+    greens: Array(length).fill(null),
     excluded: new Set(),
     yellowForbiddenPositions: {},
   };
+  const { provenance, conflicts } = constraints;
 
-  // 用于跟踪每个字符在不同猜测中的需求
-  const charRequirements = {}; // ch -> [count1, count2, ...]
-  const charMaxLimits = {}; // ch -> [max1, max2, ...] 当有灰色时的上限
-
-  // 遍历所有猜测
-  for (const { guess, patterns, solved } of guesses) {
+  guesses.forEach(({ guess, patterns, solved }, row) => {
     // 跳过已解决的猜测（全绿）
     if (solved) {
       console.log("  跳过已解决的猜测:", guess);
-      continue;
+      return;
     }
 
-    // 对于单式模式，patterns 是字符串；4式模式是数组
+    // 对于单式模式，patterns 是字符串；多式模式是数组
     const pattern = Array.isArray(patterns) ? patterns[0] : patterns;
 
-    if (!pattern || pattern.length !== guess.length) continue;
+    if (!pattern || pattern.length !== guess.length) return;
 
-    // 先统计该猜测中每个字符的颜色
-    const charColors = {};
-    for (let i = 0; i < guess.length; i++) {
-      const ch = guess[i];
-      if (!charColors[ch]) {
-        charColors[ch] = { green: 0, yellow: 0, gray: 0 };
-      }
-      if (pattern[i] === "g") charColors[ch].green++;
-      else if (pattern[i] === "y") charColors[ch].yellow++;
-      else if (pattern[i] === "x") charColors[ch].gray++;
+    if (guess.length !== length) {
+      conflicts.push({
+        message: `第 ${row + 1} 行长度为 ${guess.length}，与等式长度 ${length} 不符`,
+        rows: [row],
+      });
+      return;
     }
 
-    // 记录本次猜测中每个字符的需求次数和上限
-    for (const [ch, colors] of Object.entries(charColors)) {
-      const required = colors.green + colors.yellow;
-      if (required > 0) {
-        if (!charRequirements[ch]) {
-          charRequirements[ch] = [];
-        }
-        charRequirements[ch].push(required);
+    // 统计该行每个字符的颜色，同时记录位置事实
+    const colors = {};
+    for (let i = 0; i < length; i++) {
+      const ch = guess[i];
+      if (!colors[ch]) colors[ch] = { green: 0, yellow: 0, gray: 0 };
+
+      if (pattern[i] === "g") {
+        colors[ch].green++;
+        addGreenFact(constraints, i, ch, row);
+        continue;
       }
 
-      // 如果有灰色且有绿/黄，说明有上限
-      if (colors.gray > 0 && required > 0) {
-        if (!charMaxLimits[ch]) {
-          charMaxLimits[ch] = [];
+      addForbiddenFact(constraints, i, ch, row);
+      if (pattern[i] === "y") {
+        if (colors[ch].gray > 0) {
+          conflicts.push({
+            message: `第 ${row + 1} 行 '${ch}' 的黄色出现在灰色之后`,
+            rows: [row],
+          });
         }
-        charMaxLimits[ch].push(required);
+        colors[ch].yellow++;
+      } else {
+        colors[ch].gray++;
       }
     }
 
-    // 处理每个字符
-    for (let i = 0; i < guess.length; i++) {
-      const ch = guess[i];
-      const color = pattern[i];
-
-      if (color === "g") {
-        // 绿色：该位置固定
-        constraints.greens[i] = ch;
-      } else if (color === "y") {
-        // 黄色：该位置禁止该字符
-        if (!constraints.yellowForbiddenPositions[ch]) {
-          constraints.yellowForbiddenPositions[ch] = new Set();
-        }
-        constraints.yellowForbiddenPositions[ch].add(i);
-      } else if (color === "x") {
-        // 灰色
-        const hasGreenOrYellow =
-          charColors[ch].green > 0 || charColors[ch].yellow > 0;
-
-        if (!hasGreenOrYellow) {
-          // 该字符完全不存在
-          constraints.excluded.add(ch);
-        }
-
-        // 灰色位置也禁止该字符（如果该字符存在）
-        if (hasGreenOrYellow) {
-          if (!constraints.yellowForbiddenPositions[ch]) {
-            constraints.yellowForbiddenPositions[ch] = new Set();
-          }
-          constraints.yellowForbiddenPositions[ch].add(i);
-        }
+    // 次数事实：绿+黄是下限，有灰色时同时也是上限
+    for (const [ch, { green, yellow, gray }] of Object.entries(colors)) {
+      const present = green + yellow;
+      if (present > (constraints.minCounts[ch] || 0)) {
+        constraints.minCounts[ch] = present;
+        provenance.minCounts[ch] = row;
       }
+      if (gray > 0 && present < (constraints.maxCounts[ch] ?? Infinity)) {
+        constraints.maxCounts[ch] = present;
+        provenance.maxCounts[ch] = row;
+      }
+    }
+  });
+
+  for (const [ch, min] of Object.entries(constraints.minCounts)) {
+    const max = constraints.maxCounts[ch];
+    if (max === undefined) continue;
+    if (min > max) {
+      conflicts.push({
+        message: `'${ch}' 至少出现 ${min} 次（第 ${
+          provenance.minCounts[ch] + 1
+        } 行），但最多 ${max} 次（第 ${provenance.maxCounts[ch] + 1} 行）`,
+        rows: [provenance.minCounts[ch], provenance.maxCounts[ch]],
+      });
+    } else if (min === max) {
+      constraints.exactCounts[ch] = min;
     }
   }
 
-  // 计算最终的 requiredCounts：取所有猜测中的最大值
-  for (const [ch, counts] of Object.entries(charRequirements)) {
-    constraints.requiredCounts[ch] = Math.max(...counts);
+  // 上限为 0 的字符从各位置移除，并作为排除字符
+  for (const [ch, max] of Object.entries(constraints.maxCounts)) {
+    if (max > 0) continue;
+    constraints.allowed.forEach((set) => set.delete(ch));
+    if (!constraints.minCounts[ch]) constraints.excluded.add(ch);
   }
 
-  // 计算最终的 maxCounts：如果有上限约束，取最小值（最严格的）
-  for (const [ch, limits] of Object.entries(charMaxLimits)) {
-    constraints.maxCounts[ch] = Math.min(...limits);
+  return constraints;
+}
+
+// 记录"位置 pos 是 ch"（绿色）
+function addGreenFact(constraints, pos, ch, row) {
+  const { provenance, conflicts } = constraints;
+  const greenRow = provenance.greens[pos];
+
+  if (greenRow !== null && constraints.greens[pos] !== ch) {
+    conflicts.push({
+      message: `位置 ${pos + 1} 在第 ${greenRow + 1} 行为 '${
+        constraints.greens[pos]
+      }'，在第 ${row + 1} 行为 '${ch}'`,
+      rows: [greenRow, row],
+    });
+  }
+  const forbiddenRow = provenance.forbidden[pos][ch];
+  if (forbiddenRow !== undefined) {
+    conflicts.push({
+      message: `位置 ${pos + 1} 在第 ${row + 1} 行为 '${ch}'，但第 ${
+        forbiddenRow + 1
+      } 行表明这里不是 '${ch}'`,
+      rows: [forbiddenRow, row],
+    });
   }
 
-  // 【关键修正】减去已被绿色位置占用的字符数
-  // greens 中固定的字符已经满足了部分 requiredCounts，不应重复计算
-  const greenCounts = {};
-  for (const ch of constraints.greens) {
-    if (ch) {
-      greenCounts[ch] = (greenCounts[ch] || 0) + 1;
+  if (greenRow === null) {
+    constraints.greens[pos] = ch;
+    provenance.greens[pos] = row;
+  }
+  const allowed = constraints.allowed[pos];
+  constraints.allowed[pos] = new Set(allowed.has(ch) ? [ch] : []);
+}
+
+// 记录"位置 pos 不是 ch"（黄色或灰色）
+function addForbiddenFact(constraints, pos, ch, row) {
+  const { provenance, conflicts } = constraints;
+
+  if (constraints.greens[pos] === ch) {
+    conflicts.push({
+      message: `位置 ${pos + 1} 在第 ${
+        provenance.greens[pos] + 1
+      } 行为 '${ch}'，但第 ${row + 1} 行表明这里不是 '${ch}'`,
+      rows: [provenance.greens[pos], row],
+    });
+  }
+
+  if (provenance.forbidden[pos][ch] === undefined) {
+    provenance.forbidden[pos][ch] = row;
+  }
+  constraints.allowed[pos].delete(ch);
+  if (!constraints.yellowForbiddenPositions[ch]) {
+    constraints.yellowForbiddenPositions[ch] = new Set();
+  }
+  constraints.yellowForbiddenPositions[ch].add(pos);
+}
+
+/**
+ * 解释一个等式为什么是（或不是）候选：先用验证器检查等式本身，再逐条对照约束事实
+ * 每条原因都注明来源行号（第 N 行，即历史中的第 N 条猜测）
+ * @param {string} candidate - 待检查的等式
+ * @param {Object} constraints - 约束对象（见 buildConstraintsFromGuesses）
+ * @param {Object} [rules] - 规则配置（见 rules.js）
+ * @returns {Object} {ok, reasons}，ok 为 true 时 reasons 为空
+ */
+function explainCandidate(candidate, constraints, rules = {}) {
+  const { allowed, greens, minCounts, maxCounts, provenance } = constraints;
+  const length = allowed.length;
+  const reasons = [];
+
+  for (const { message } of constraints.conflicts) {
+    reasons.push(`历史本身矛盾：${message}`);
+  }
+
+  if (candidate.length !== length) {
+    reasons.push(`长度为 ${candidate.length}，应为 ${length}`);
+    return { ok: false, reasons };
+  }
+
+  const validation = validateEquation(candidate, rules);
+  if (!validation.valid) reasons.push(validation.reason);
+
+  // 位置事实；上限为 0 的字符在下面按次数说明，不逐个位置重复
+  for (let i = 0; i < length; i++) {
+    const ch = candidate[i];
+    if (provenance.greens[i] !== null && greens[i] !== ch) {
+      reasons.push(
+        `位置 ${i + 1} 必须是 '${greens[i]}'（第 ${provenance.greens[i] + 1} 行）`
+      );
+    } else if (
+      provenance.forbidden[i][ch] !== undefined &&
+      maxCounts[ch] !== 0
+    ) {
+      reasons.push(
+        `位置 ${i + 1} 不能是 '${ch}'（第 ${provenance.forbidden[i][ch] + 1} 行）`
+      );
     }
   }
 
-  for (const ch in greenCounts) {
-    if (constraints.requiredCounts[ch] !== undefined) {
-      // 减去绿色已占用的次数
-      constraints.requiredCounts[ch] = Math.max(
-        0,
-        constraints.requiredCounts[ch] - greenCounts[ch]
+  // 次数事实
+  const counts = {};
+  for (const ch of candidate) counts[ch] = (counts[ch] || 0) + 1;
+
+  for (const ch of new Set([
+    ...Object.keys(minCounts),
+    ...Object.keys(maxCounts),
+  ])) {
+    const count = counts[ch] || 0;
+    const min = minCounts[ch] || 0;
+    const max = maxCounts[ch] ?? Infinity;
+
+    if (max === 0 && count > 0) {
+      reasons.push(`不能包含 '${ch}'（第 ${provenance.maxCounts[ch] + 1} 行）`);
+    } else if (count < min) {
+      reasons.push(
+        `至少需要 ${min} 个 '${ch}'（第 ${
+          provenance.minCounts[ch] + 1
+        } 行），实际 ${count} 个`
+      );
+    } else if (count > max) {
+      reasons.push(
+        `最多 ${max} 个 '${ch}'（第 ${
+          provenance.maxCounts[ch] + 1
+        } 行），实际 ${count} 个`
       );
     }
   }
 
-  // 【关键修正】移除被要求出现的字符（避免排除与需求冲突）
-  // 如果字符在 requiredCounts 中（意味着某个猜测中有绿/黄），就不应该被排除
-  for (const ch in constraints.requiredCounts) {
-    if (constraints.requiredCounts[ch] > 0 || greenCounts[ch] > 0) {
-      constraints.excluded.delete(ch);
+  return { ok: reasons.length === 0, reasons };
+}
+
+/**
+ * 困难模式检查：每次猜测都必须用上已揭示的提示
+ * 绿色的字符必须留在原位置，绿色和黄色的字符至少要出现同样多次（按提示最多的一行计）；
+ * 灰色字符与黄色的位置不受限制
+ * @param {string} guess - 待检查的猜测
+ * @param {Array} history - 同一个目标的历史 [{guess, patterns}]，patterns 为该目标的颜色字符串（空串为没有反馈）
+ * @returns {Array} [{position, message}]：违反的规则，position 为对应位置（次数规则为 null），都满足时为空数组
+ */
+function findHardModeViolations(guess, history) {
+  const violations = [];
+  const greens = [];
+  const required = {};
+
+  history.forEach(({ guess: previous, patterns }, row) => {
+    if (!patterns) return;
+    const counts = {};
+    for (let i = 0; i < patterns.length; i++) {
+      if (patterns[i] === "g" && greens[i] === undefined) {
+        greens[i] = { ch: previous[i], row };
+      }
+      if (patterns[i] === "g" || patterns[i] === "y") {
+        counts[previous[i]] = (counts[previous[i]] || 0) + 1;
+      }
+    }
+    for (const [ch, count] of Object.entries(counts)) {
+      if (!required[ch] || count > required[ch].count) {
+        required[ch] = { count, row };
+      }
+    }
+  });
+
+  greens.forEach((green, i) => {
+    if (green && guess[i] !== green.ch) {
+      violations.push({
+        position: i,
+        message: `位置 ${i + 1} 必须是 '${green.ch}'（第 ${green.row + 1} 行为绿色）`,
+      });
+    }
+  });
+
+  for (const [ch, { count, row }] of Object.entries(required)) {
+    const actual = [...guess].filter((c) => c === ch).length;
+    if (actual < count) {
+      violations.push({
+        position: null,
+        message: `必须包含 ${count} 个 '${ch}'（第 ${row + 1} 行提示），实际 ${actual} 个`,
+      });
     }
   }
 
-  return constraints;
+  return violations;
+}
+
+/**
+ * 困难模式下猜测是否可用：符合每个未解决目标的全部提示（见 findHardModeViolations）
+ * @param {string} guess - 待检查的猜测
+ * @param {Array<Array>} histories - 各未解决目标的历史
+ * @returns {boolean}
+ */
+function isHardModeGuess(guess, histories) {
+  return histories.every(
+    (history) => findHardModeViolations(guess, history).length === 0
+  );
 }
 
 /**
@@ -295,622 +766,1939 @@ function scoreCandidate(expr) {
 }
 
 /**
- * 估算搜索空间大小
- * @param {Object} constraints - 约束对象
- * @param {number} length - 等式长度
- * @returns {number} 估算的搜索空间大小
+ * 用 guess 去猜时，剩余候选按反馈模式分桶后的统计
+ * @param {string} guess - 猜测
+ * @param {Array<string>} candidates - 剩余候选（视为等可能的答案）
+ * @returns {Object} {entropy, expectedSize, worstCase}：期望信息量（bit）、期望剩余候选数、最大桶
  */
-function estimateSearchSpace(constraints, length) {
-  const allowedChars = "0123456789+-*/="
-    .split("")
-    .filter((ch) => !constraints.excluded.has(ch));
-  let space = 1;
-
-  for (let i = 0; i < length; i++) {
-    if (constraints.greens[i]) {
-      // 固定位置，只有1种选择
-      space *= 1;
-    } else {
-      // 估算该位置的可选字符数
-      let choices = allowedChars.length;
-
-      // 减去被禁止的字符
-      for (const ch of allowedChars) {
-        if (constraints.yellowForbiddenPositions[ch]?.has(i)) {
-          choices--;
-        }
-      }
-
-      space *= Math.max(choices, 1);
-    }
-
-    // 防止溢出，超过百万就返回
-    if (space > 1000000) return 1000000;
+function getFeedbackStats(guess, candidates) {
+  const buckets = {};
+  for (const answer of candidates) {
+    const pattern = computeFeedback(guess, answer);
+    buckets[pattern] = (buckets[pattern] || 0) + 1;
   }
 
-  return Math.floor(space);
+  const total = candidates.length;
+  let entropy = 0;
+  let expectedSize = 0;
+  let worstCase = 0;
+  for (const size of Object.values(buckets)) {
+    const p = size / total;
+    entropy -= p * Math.log2(p);
+    expectedSize += p * size;
+    worstCase = Math.max(worstCase, size);
+  }
+  return { entropy, expectedSize, worstCase };
 }
 
 /**
- * DFS 生成候选等式（异步分块版本）
+ * 推荐下一步猜测
+ * 对每个可选猜测，模拟它对所有剩余候选产生的反馈并分桶，
+ * 按期望信息量（熵）或期望剩余候选数排序
+ * @param {Array<string>} candidates - 剩余候选
+ * @param {Object} options - 配置
+ * @param {Array<string>} [options.guessPool] - 可选猜测（默认为候选本身）
+ * @param {string} [options.metric] - 排序依据："entropy" 或 "expectedSize"
+ * @param {number} [options.limit] - 返回条数
+ * @returns {Array} [{guess, entropy, expectedSize, worstCase, isCandidate}]
  */
-async function generateCandidatesAsync(constraints, options) {
+function recommendGuesses(candidates, options = {}) {
   const {
-    length,
-    maxResults = 200,
-    cancelledRef = { value: false },
-    onProgress = null,
+    guessPool = candidates,
+    metric = "entropy",
+    limit = 20,
   } = options;
 
-  const results = [];
-  const startTime = Date.now();
-
-  // 可用字符集
-  const allowedChars = "0123456789+-*/="
-    .split("")
-    .filter((ch) => !constraints.excluded.has(ch));
+  const total = candidates.length;
+  if (total === 0) return [];
 
-  console.log("DFS 开始:");
-  console.log("  长度:", length);
-  console.log("  可用字符:", allowedChars.join(""));
-  console.log("  绿色固定:", constraints.greens);
-  console.log("  必需次数:", constraints.requiredCounts);
-  console.log("  最大次数:", constraints.maxCounts);
-  console.log("  排除字符:", Array.from(constraints.excluded).join(""));
-  console.log(
-    "  黄色禁止:",
-    Object.fromEntries(
-      Object.entries(constraints.yellowForbiddenPositions).map(([k, v]) => [
-        k,
-        Array.from(v),
-      ])
-    )
-  );
+  const candidateSet = new Set(candidates);
+  const ranked = [];
 
-  let dfsCallCount = 0;
-  let reachedEnd = 0;
-  let failedValidation = 0;
-  let failedRequired = 0;
-  let lastYieldTime = Date.now();
+  for (const guess of guessPool) {
+    ranked.push({
+      guess,
+      ...getFeedbackStats(guess, candidates),
+      isCandidate: candidateSet.has(guess),
+    });
+  }
 
-  /**
-   * 动态排序字符 - 根据当前状态计算每个字符的优先级
-   */
-  function getSortedChars(pos, used, hasEqual) {
-    const chars = [];
+  ranked.sort((a, b) => {
+    const primary =
+      metric === "expectedSize"
+        ? a.expectedSize - b.expectedSize
+        : b.entropy - a.entropy;
+    if (Math.abs(primary) > 1e-9) return primary;
 
-    for (const ch of allowedChars) {
-      // 基本过滤
-      if (ch === "=") {
-        if (hasEqual || pos === 0 || pos === length - 1) continue;
-      }
-      // 【修正】等号后只禁止 *、/、+，允许负号 -
-      if (hasEqual && "*/+".includes(ch)) continue;
-      if (constraints.yellowForbiddenPositions[ch]?.has(pos)) continue;
+    // 同分时优先选本身可能是答案的猜测，再看最坏情况
+    if (a.isCandidate !== b.isCandidate) return a.isCandidate ? -1 : 1;
+    return a.worstCase - b.worstCase;
+  });
 
-      const currentUsed = used[ch] || 0;
-      if (constraints.maxCounts[ch] && currentUsed >= constraints.maxCounts[ch])
-        continue;
+  return ranked.slice(0, limit);
+}
 
-      // 计算优先级分数（越高越优先）
-      let priority = 0;
+// 联合推荐按信息量排序时，每个期望能直接猜中的目标折合的信息量（bit）
+const JOINT_SOLVE_BONUS = 1;
 
-      // 1. 必需字符优先（还没用够的）
-      if (constraints.requiredCounts[ch]) {
-        const needed = constraints.requiredCounts[ch] - currentUsed;
-        if (needed > 0) {
-          priority += needed * 1000; // 非常高的优先级
-        }
-      }
+/**
+ * 多目标（多式）模式的联合推荐：同一个猜测会同时得到每个目标的反馈，
+ * 各目标的答案互相独立，所以合计信息量是各目标信息量之和
+ * 猜测本身是某个目标的候选时可能直接猜中它：期望剩余把猜中的目标记为 0，
+ * 按信息量排序时每个期望猜中的目标（solveChance）另加 JOINT_SOLVE_BONUS bit
+ * @param {Array<Array<string>>} targets - 各未解决目标的剩余候选
+ * @param {Object} options - 配置
+ * @param {Array<string>} [options.guessPool] - 可选猜测（默认为各目标候选的并集）
+ * @param {string} [options.metric] - 排序依据："entropy" 或 "expectedSize"
+ * @param {number} [options.limit] - 返回条数
+ * @returns {Array} [{guess, entropy, expectedSize, worstCase, solveChance, perTarget}]：
+ *   entropy、expectedSize、worstCase 为各目标之和，solveChance 为期望直接猜中的目标数，
+ *   perTarget 与 targets 对应，每项为 {entropy, expectedSize, worstCase, isCandidate}（没有候选的目标为 null）
+ */
+function recommendJointGuesses(targets, options = {}) {
+  const {
+    guessPool = [...new Set(targets.flat())],
+    metric = "entropy",
+    limit = 20,
+  } = options;
 
-      // 2. 数字优先于运算符
-      if (/\d/.test(ch)) {
-        priority += 100;
-      }
+  if (targets.every((candidates) => candidates.length === 0)) return [];
+  const candidateSets = targets.map((candidates) => new Set(candidates));
 
-      // 3. 等号在合适位置（长度的40-60%位置）
-      if (ch === "=") {
-        const idealPos = length * 0.5;
-        const distance = Math.abs(pos - idealPos);
-        priority += Math.max(0, 50 - distance * 5); // 离理想位置越近越好
-      }
+  const ranked = guessPool.map((guess) => {
+    let entropy = 0;
+    let expectedSize = 0;
+    let solveChance = 0;
+    let worstCase = 0;
 
-      // 4. 避免运算符在开头
-      if ("+-*/".includes(ch) && pos < 2) {
-        priority -= 50;
-      }
+    const perTarget = targets.map((candidates, t) => {
+      if (candidates.length === 0) return null;
 
-      // 5. 常用数字（0-9）略微提高优先级
-      if ("0123456789".includes(ch)) {
-        // 1, 2, 0 更常见
-        if (ch === "1") priority += 5;
-        else if (ch === "2") priority += 4;
-        else if (ch === "0") priority += 3;
-      }
+      const stats = getFeedbackStats(guess, candidates);
+      const isCandidate = candidateSets[t].has(guess);
+      const chance = isCandidate ? 1 / candidates.length : 0;
 
-      // 6. 常用运算符优先
-      if (ch === "+" || ch === "-") priority += 10;
-      if (ch === "*" || ch === "/") priority += 5;
+      entropy += stats.entropy;
+      expectedSize += stats.expectedSize - chance;
+      solveChance += chance;
+      worstCase += stats.worstCase;
+      return {
+        ...stats,
+        expectedSize: stats.expectedSize - chance,
+        isCandidate,
+      };
+    });
 
-      chars.push({ ch, priority });
+    return { guess, entropy, expectedSize, solveChance, worstCase, perTarget };
+  });
+
+  ranked.sort((a, b) => {
+    const primary =
+      metric === "expectedSize"
+        ? a.expectedSize - b.expectedSize
+        : b.entropy +
+          JOINT_SOLVE_BONUS * b.solveChance -
+          (a.entropy + JOINT_SOLVE_BONUS * a.solveChance);
+    if (Math.abs(primary) > 1e-9) return primary;
+
+    // 同分时优先选更可能直接猜中的，再看各目标最坏情况之和
+    if (Math.abs(a.solveChance - b.solveChance) > 1e-9) {
+      return b.solveChance - a.solveChance;
     }
+    return a.worstCase - b.worstCase;
+  });
 
-    // 按优先级降序排序
-    chars.sort((a, b) => b.priority - a.priority);
-
-    return chars.map((item) => item.ch);
-  }
+  return ranked.slice(0, limit);
+}
 
-  // DFS 递归函数
-  async function dfs(pos, current, used, hasEqual) {
-    dfsCallCount++;
+// 残局规划：模拟的对局数（每个首步方案用同一批答案组合）
+const ENDGAME_SIMULATIONS = 200;
 
-    // 每次都检查取消（最快响应）
-    if (cancelledRef.value) {
-      return;
-    }
+// 残局规划比较的首步方案数（一半来自联合推荐，其余为候选最少的几个目标排在最前的候选）
+const ENDGAME_OPTIONS = 12;
 
-    // 每1000次调用让出控制权
-    if (dfsCallCount % 1000 === 0) {
-      // 每50ms让出控制权，提高取消响应速度
-      if (Date.now() - lastYieldTime > 50) {
-        await new Promise((resolve) => setTimeout(resolve, 0));
-        lastYieldTime = Date.now();
+// 模拟中每步选猜测时考虑的猜测数，以及所有目标合计参与打分的候选数
+const ENDGAME_POOL_SIZE = 20;
+const ENDGAME_SCORE_ANSWERS = 120;
 
-        // 再次检查取消（让出控制权后立即检查）
-        if (cancelledRef.value) {
-          return;
-        }
+/**
+ * 最坏情况下解出全部目标至少需要的行数：每行最多猜中一个目标；
+ * 所有目标都还有多个候选时，下一行可能一个也猜不中
+ * @param {Array<Array<string>>} targets - 各未解决目标的剩余候选
+ * @returns {number} 行数下界
+ */
+function minRowsToGuarantee(targets) {
+  if (targets.length === 0) return 0;
+  return (
+    targets.length +
+    (targets.every((candidates) => candidates.length > 1) ? 1 : 0)
+  );
+}
 
-        // 报告进度
-        if (onProgress) {
-          onProgress({
-            found: results.length,
-            explored: dfsCallCount,
-            current: current,
-          });
-        }
+// 从各目标的候选中轮流各取一个，凑出至多 size 个不重复的等式（只取 accept 通过的）
+function interleaveCandidates(targets, size, accept = null) {
+  const picked = new Set();
+  const longest = Math.max(0, ...targets.map((c) => c.length));
+  for (let i = 0; i < longest && picked.size < size; i++) {
+    for (const candidates of targets) {
+      if (i < candidates.length && (!accept || accept(candidates[i]))) {
+        picked.add(candidates[i]);
       }
+      if (picked.size >= size) break;
     }
+  }
+  return [...picked];
+}
 
-    // 达到最大结果数
-    if (results.length >= maxResults) {
-      return;
-    }
+// 均匀取至多 size 个候选
+function thinCandidates(candidates, size) {
+  if (candidates.length <= size) return candidates;
+  const step = candidates.length / size;
+  return Array.from(
+    { length: size },
+    (_, i) => candidates[Math.floor(i * step)]
+  );
+}
 
-    // 完成一个候选
-    if (pos === length) {
-      reachedEnd++;
+/**
+ * 残局模拟中每一步的猜测：有目标只剩一个候选时直接猜它（必定解出，同时给其他目标反馈），
+ * 否则取联合推荐（recommendJointGuesses）的第一名；为控制耗时，只用部分候选打分
+ * @param {Array<Array<string>>} targets - 各未解决目标的剩余候选（均不为空）
+ * @param {Array<Array>|null} [histories] - 困难模式下各目标（与 targets 对应）的历史，
+ *   给出时只猜符合全部提示的等式（见 isHardModeGuess）
+ * @returns {string|null} 猜测；困难模式下没有可用的猜测时为 null
+ */
+function pickEndgameGuess(targets, histories = null) {
+  const accept = histories && ((guess) => isHardModeGuess(guess, histories));
+  const single = targets.find(
+    (candidates) =>
+      candidates.length === 1 && (!accept || accept(candidates[0]))
+  );
+  if (single) return single[0];
 
-      // 必须有等号
-      if (!hasEqual) return;
+  const guessPool = interleaveCandidates(targets, ENDGAME_POOL_SIZE, accept);
+  if (guessPool.length === 0) return null;
 
-      // 验证等式
-      if (!isValidEquation(current)) {
-        failedValidation++;
-        return;
-      }
+  const perTarget = Math.max(
+    4,
+    Math.ceil(ENDGAME_SCORE_ANSWERS / targets.length)
+  );
+  const [best] = recommendJointGuesses(
+    targets.map((candidates) => thinCandidates(candidates, perTarget)),
+    { guessPool, limit: 1 }
+  );
+  return best.guess;
+}
 
-      // 检查是否满足必需次数
-      let valid = true;
-      for (const [ch, minCount] of Object.entries(constraints.requiredCounts)) {
-        if ((used[ch] || 0) < minCount) {
-          valid = false;
-          break;
-        }
-      }
+// 按 guess 的反馈把候选分桶：反馈 -> 候选数组
+function partitionByFeedback(guess, candidates) {
+  const buckets = new Map();
+  for (const candidate of candidates) {
+    const pattern = computeFeedback(guess, candidate);
+    if (!buckets.has(pattern)) buckets.set(pattern, []);
+    buckets.get(pattern).push(candidate);
+  }
+  return buckets;
+}
 
-      if (!valid) {
-        failedRequired++;
-        return;
+/**
+ * 按残局策略模拟一局：answers 为各目标假定的答案，首步猜 firstGuess，之后每步见 pickEndgameGuess
+ * cache 在多次模拟间共享：每个目标的局面（自己的猜测与反馈序列）编成一个序号并缓存分桶结果，
+ * 全部目标的局面相同时直接沿用选过的猜测（局面相同，模拟出的历史也相同）
+ * histories 为困难模式下各目标的历史，模拟的每一行都追加进去，之后每步只猜符合全部提示的等式
+ * @returns {number} 解出全部目标所用的行数，剩余行数内解不完（或困难模式下无路可走）时为 Infinity
+ */
+function simulateEndgame(
+  targets,
+  answers,
+  firstGuess,
+  rowsLeft,
+  cache,
+  histories = null
+) {
+  let sets = targets;
+  let keys = targets.map((_, t) => `t${t}`);
+  let guess = firstGuess;
+
+  for (let row = 1; row <= rowsLeft; row++) {
+    // 猜中的目标记为 null，其余只保留反馈相同的候选
+    const nextSets = [];
+    const nextKeys = [];
+    const nextHistories = [];
+    sets.forEach((candidates, t) => {
+      if (candidates === null || answers[t] === guess) {
+        nextSets.push(null);
+        nextKeys.push(-1);
+        nextHistories.push(null);
+        return;
       }
-
-      results.push(current);
-      console.log("  ✓ 找到候选:", current);
-
-      // 流式回调 - 每找到一个就立即回调
-      if (onProgress) {
-        onProgress({
-          found: results.length,
-          explored: dfsCallCount,
-          current: current,
-          newResult: current,
-        });
+      const bucketKey = `${keys[t]};${guess}`;
+      let buckets = cache.buckets.get(bucketKey);
+      if (!buckets) {
+        buckets = partitionByFeedback(guess, candidates);
+        cache.buckets.set(bucketKey, buckets);
       }
+      const feedback = computeFeedback(guess, answers[t]);
+      const stateKey = `${bucketKey}:${feedback}`;
+      if (!cache.ids.has(stateKey)) cache.ids.set(stateKey, cache.ids.size);
+      nextSets.push(buckets.get(feedback));
+      nextKeys.push(cache.ids.get(stateKey));
+      nextHistories.push(
+        histories && [...histories[t], { guess, patterns: feedback }]
+      );
+    });
 
-      return;
+    const open = nextSets.filter(Boolean);
+    if (open.length === 0) return row;
+
+    const jointKey = nextKeys.join(",");
+    let next = cache.guesses.get(jointKey);
+    if (next === undefined) {
+      next = pickEndgameGuess(
+        open,
+        histories && nextHistories.filter(Boolean)
+      );
+      cache.guesses.set(jointKey, next);
     }
+    if (next === null) return Infinity;
 
-    // 如果该位置有绿色固定字符
-    if (constraints.greens[pos]) {
-      const ch = constraints.greens[pos];
+    sets = nextSets;
+    keys = nextKeys;
+    histories = histories && nextHistories;
+    guess = next;
+  }
 
-      // 【关键剪枝】等号前不能是运算符
-      if (ch === "=") {
-        const lastChar = pos > 0 ? current[pos - 1] : null;
-        if (lastChar && "+-*/".includes(lastChar)) {
-          return; // 剪枝：等号前是运算符，这条路径无效
-        }
-      }
+  return Infinity;
+}
 
-      const newUsed = { ...used };
-      newUsed[ch] = (newUsed[ch] || 0) + 1;
+/**
+ * 残局规划：在剩余行数内解出全部目标的概率最大的下一步猜测
+ * 首步方案为联合推荐的前几名和候选最少的几个目标排在最前的候选；对每个方案，
+ * 用同一批答案组合（各目标在剩余候选中均匀抽取，组合不多时全部枚举）模拟之后的对局，统计按时解出的比例
+ * @param {Array<Array<string>>} targets - 各未解决目标的剩余候选（视为等可能的答案）
+ * @param {Object} options - 配置
+ * @param {number} options.rowsLeft - 剩余行数
+ * @param {number} [options.seed] - 抽取答案的随机种子，相同种子结果相同
+ * @param {number} [options.simulations] - 模拟的对局数（答案组合数的上限）
+ * @param {Array<Array>} [options.hardModeHistories] - 困难模式下各目标（与 targets 对应）的历史；
+ *   给出时首步方案和模拟中的每一步都只用符合全部未解决目标提示的等式（见 isHardModeGuess）
+ * @returns {Object} {rowsLeft, minRows, plans}：minRows 见 minRowsToGuarantee；
+ *   plans 按成功率从高到低排列，每项为 {guess, successRate, expectedRows, isCandidate}，
+ *   expectedRows 为按时解出的对局平均用的行数（没有按时解出的为 null）
+ */
+function planEndgame(targets, options) {
+  const {
+    rowsLeft,
+    seed = 1,
+    simulations = ENDGAME_SIMULATIONS,
+    hardModeHistories = null,
+  } = options;
+  const minRows = minRowsToGuarantee(targets);
 
-      // 检查是否超过最大次数
-      if (
-        constraints.maxCounts[ch] &&
-        newUsed[ch] > constraints.maxCounts[ch]
-      ) {
-        return;
-      }
+  if (targets.some((candidates) => candidates.length === 0)) {
+    throw new Error("有目标没有候选，请先检查历史记录");
+  }
+  if (targets.length === 0 || rowsLeft < targets.length) {
+    return { rowsLeft, minRows, plans: [] };
+  }
 
-      await dfs(pos + 1, current + ch, newUsed, hasEqual || ch === "=");
-      return;
+  // 答案组合不多于模拟次数时逐一枚举（成功率是精确值），否则随机抽取
+  const combinations = targets.reduce((n, c) => n * c.length, 1);
+  let scenarios;
+  if (combinations <= simulations) {
+    scenarios = [[]];
+    for (const candidates of targets) {
+      scenarios = scenarios.flatMap((answers) =>
+        candidates.map((answer) => [...answers, answer])
+      );
     }
+  } else {
+    const random = createRandom(seed);
+    scenarios = Array.from({ length: simulations }, () =>
+      targets.map(
+        (candidates) => candidates[Math.floor(random() * candidates.length)]
+      )
+    );
+  }
 
-    // 动态获取排序后的字符列表（根据当前状态）
-    const sortedChars = getSortedChars(pos, used, hasEqual);
-
-    // 按优先级尝试每个字符
-    for (const ch of sortedChars) {
-      // 【关键剪枝】避免连续运算符（除了负号开头或运算符后的负号）
-      const lastChar = pos > 0 ? current[pos - 1] : null;
-      if ("+-*/".includes(ch) && lastChar) {
-        // 如果上一个字符是运算符或等号
-        if ("+-*/=".includes(lastChar)) {
-          // 只允许负号（-）跟在 = 或其他运算符后
-          if (ch !== "-") {
-            continue; // 跳过 *、/、+ 在运算符后
-          }
-          // 如果上一个已经是负号，不能再跟负号（避免 --）
-          if (lastChar === "-" && ch === "-") {
-            continue;
-          }
-        }
+  const accept =
+    hardModeHistories &&
+    ((guess) => isHardModeGuess(guess, hardModeHistories));
+  const bySize = targets
+    .slice()
+    .sort((a, b) => a.length - b.length)
+    .map((candidates) => candidates.find((c) => !accept || accept(c)));
+  const firstGuesses = [
+    ...new Set([
+      pickEndgameGuess(targets, hardModeHistories),
+      ...recommendJointGuesses(targets, {
+        guessPool: interleaveCandidates(
+          targets,
+          ENDGAME_POOL_SIZE * 5,
+          accept
+        ),
+        limit: ENDGAME_OPTIONS / 2,
+      }).map((r) => r.guess),
+      ...bySize,
+    ]),
+  ]
+    .filter((guess) => guess !== null && guess !== undefined)
+    .slice(0, ENDGAME_OPTIONS);
+
+  const cache = { buckets: new Map(), ids: new Map(), guesses: new Map() };
+  const plans = firstGuesses.map((guess) => {
+    let solved = 0;
+    let rowsUsed = 0;
+    for (const answers of scenarios) {
+      const rows = simulateEndgame(
+        targets,
+        answers,
+        guess,
+        rowsLeft,
+        cache,
+        hardModeHistories
+      );
+      if (rows !== Infinity) {
+        solved++;
+        rowsUsed += rows;
       }
+    }
+    return {
+      guess,
+      successRate: solved / scenarios.length,
+      expectedRows: solved > 0 ? rowsUsed / solved : null,
+      isCandidate: targets.some((candidates) => candidates.includes(guess)),
+    };
+  });
+
+  plans.sort(
+    (a, b) =>
+      b.successRate - a.successRate ||
+      (a.expectedRows ?? rowsLeft + 1) - (b.expectedRows ?? rowsLeft + 1)
+  );
 
-      // 等号特殊检查：右侧必须只能放数字
-      if (ch === "=") {
-        // 【关键剪枝】等号前不能是运算符（左侧表达式必须完整）
-        if (lastChar && "+-*/".includes(lastChar)) {
-          continue;
-        }
+  return { rowsLeft, minRows, plans };
+}
 
-        let needOperators = 0;
-        for (const [reqCh, minCount] of Object.entries(
-          constraints.requiredCounts
-        )) {
-          if ("+-*/".includes(reqCh)) {
-            const currentCount = used[reqCh] || 0;
-            if (currentCount < minCount) {
-              needOperators += minCount - currentCount;
-            }
-          }
+// 决策树：精确搜索的候选数上限，以及计算预算（分桶次数）
+const DECISION_TREE_MAX_CANDIDATES = 60;
+const DECISION_TREE_BUDGET = 300000;
+// 试探等式只保留对全部候选区分度（信息量）最高的若干个，猜测池太大时预算很快耗尽
+const DECISION_TREE_MAX_PROBES = 40;
+
+// 决策树的评价方式：combine 由本次猜测的候选数与各分支的代价算出总代价，
+// lowerBound 为某个候选集合代价的下界（用于剪枝）
+const DECISION_TREE_METRICS = {
+  // 所有答案的猜测次数之和（除以候选数即期望猜测次数）：每个答案都要用掉这次猜测，
+  // 除了猜中的那个，其余至少还要两次
+  expected: {
+    combine: (size, costs) => costs.reduce((sum, cost) => sum + cost, size),
+    lowerBound: (size) => 2 * size - 1,
+  },
+  // 最坏情况的猜测次数
+  minimax: {
+    combine: (size, costs) => 1 + Math.max(0, ...costs),
+    lowerBound: (size) => (size === 1 ? 1 : 2),
+  },
+};
+
+/**
+ * 为少量剩余候选构建最优决策树：每个节点给出要猜的等式，以及每种反馈之后的子树
+ * 在猜测池（候选本身加上可选的试探等式）中做带下界剪枝的完全搜索，相同的候选集合只算一次；
+ * 超出计算预算后，尚未算完的子树改为只取下界最好的猜测（结果标记为非精确）
+ * 困难模式下只猜符合各目标已揭示提示的等式；某一步没有这样的猜测时才放宽，并在节点上标出
+ * @param {Array<string>} candidates - 剩余候选（视为等可能的答案）
+ * @param {Object} [options] - 配置
+ * @param {Array<string>} [options.probes] - 可以用来试探的非候选等式（只取区分度最高的一部分）
+ * @param {string} [options.metric] - "expected"（期望猜测次数最少）或 "minimax"（最坏猜测次数最少）
+ * @param {number} [options.budget] - 计算预算（分桶次数）
+ * @param {Array<Array>} [options.hardModeHistories] - 困难模式下各未解决目标的历史（见 isHardModeGuess）；
+ *   树中之后揭示的提示无法预知，只按这些历史检查
+ * @returns {Object|null} {root, exact, metric, expectedGuesses, worstCase}：
+ *   root 为树的根节点 {guess, size, isCandidate, breaksHardMode, candidates, branches: [{pattern, node}]}，
+ *   猜中（全绿）不列为分支；没有候选时返回 null
+ */
+function buildDecisionTree(candidates, options = {}) {
+  const {
+    probes = [],
+    metric = "expected",
+    budget = DECISION_TREE_BUDGET,
+    hardModeHistories = null,
+  } = options;
+
+  if (candidates.length === 0) return null;
+  if (candidates.length > DECISION_TREE_MAX_CANDIDATES) {
+    throw new Error(
+      `候选有 ${candidates.length} 个，超过 ${DECISION_TREE_MAX_CANDIDATES} 个，请先缩小范围`
+    );
+  }
+
+  const { combine, lowerBound } =
+    DECISION_TREE_METRICS[metric] || DECISION_TREE_METRICS.expected;
+  const sorted = [...new Set(candidates)].sort();
+  const probePool = [...new Set(probes)]
+    .filter(
+      (guess) => guess.length === sorted[0].length && !sorted.includes(guess)
+    )
+    .map((guess) => ({
+      guess,
+      entropy: getFeedbackStats(guess, sorted).entropy,
+    }))
+    .sort((a, b) => b.entropy - a.entropy)
+    .slice(0, DECISION_TREE_MAX_PROBES)
+    .map(({ guess }) => guess);
+  const pool = [...sorted, ...probePool];
+  const legal = new Set(
+    hardModeHistories
+      ? pool.filter((guess) => isHardModeGuess(guess, hardModeHistories))
+      : pool
+  );
+  const allGreen = "g".repeat(sorted[0].length);
+  const memo = new Map();
+  let partitions = 0;
+  let exact = true;
+
+  function solveSet(set) {
+    const key = set.join(",");
+    if (memo.has(key)) return memo.get(key);
+
+    let best = null;
+    if (set.length === 1) {
+      best = { cost: 1, guess: set[0], branches: [] };
+    } else {
+      // 每个猜测把候选分桶；猜中的那一桶不再需要猜测，不带来信息的试探跳过
+      const splitBy = (guesses) => {
+        const choices = [];
+        for (const guess of guesses) {
+          partitions++;
+          const rest = [...partitionByFeedback(guess, set)].filter(
+            ([pattern]) => pattern !== allGreen
+          );
+          if (rest.length === 1 && rest[0][1].length === set.length) continue;
+          choices.push({
+            guess,
+            rest,
+            bound: combine(
+              set.length,
+              rest.map(([, bucket]) => lowerBound(bucket.length))
+            ),
+            isCandidate: set.includes(guess),
+          });
         }
+        return choices;
+      };
+      // 困难模式下只用符合提示的猜测，没有能区分这些候选的才放宽
+      let choices = splitBy(pool.filter((guess) => legal.has(guess)));
+      if (choices.length === 0) choices = splitBy(pool);
+      // 下界小的先算；同下界时先试本身可能是答案的猜测
+      choices.sort(
+        (a, b) => a.bound - b.bound || b.isCandidate - a.isCandidate
+      );
 
-        if (needOperators > 0) {
-          continue;
+      for (const choice of choices) {
+        if (best && choice.bound >= best.cost) break;
+        if (best && partitions > budget) {
+          exact = false;
+          break;
+        }
+        const branches = choice.rest.map(([pattern, bucket]) => ({
+          pattern,
+          result: solveSet(bucket),
+        }));
+        const cost = combine(
+          set.length,
+          branches.map((branch) => branch.result.cost)
+        );
+        if (!best || cost < best.cost) {
+          best = { cost, guess: choice.guess, branches };
         }
       }
+    }
 
-      // 【关键剪枝】等号后不能是运算符（除了负号）
-      if (hasEqual && "*/+".includes(ch)) {
-        continue;
-      }
+    memo.set(key, best);
+    return best;
+  }
 
-      // 检查次数限制
-      const newUsed = { ...used };
-      newUsed[ch] = (newUsed[ch] || 0) + 1;
+  // 把搜索结果整理成树，并统计最坏情况的猜测次数
+  let worstCase = 0;
+  function toNode(set, result, depth) {
+    const node = {
+      guess: result.guess,
+      size: set.length,
+      isCandidate: set.includes(result.guess),
+      breaksHardMode: !legal.has(result.guess),
+      candidates: set,
+      branches: [],
+    };
+    if (node.isCandidate) worstCase = Math.max(worstCase, depth);
+    for (const { pattern, result: child } of result.branches) {
+      const bucket = set.filter(
+        (answer) => computeFeedback(result.guess, answer) === pattern
+      );
+      node.branches.push({ pattern, node: toNode(bucket, child, depth + 1) });
+    }
+    return node;
+  }
 
-      if (
-        constraints.maxCounts[ch] &&
-        newUsed[ch] > constraints.maxCounts[ch]
-      ) {
-        continue;
-      }
+  const result = solveSet(sorted);
+  const root = toNode(sorted, result, 1);
 
-      // 剪枝：检查剩余位置是否足够满足必需次数
-      const remaining = length - pos - 1;
-      let needMore = 0;
-      for (const [reqCh, minCount] of Object.entries(
-        constraints.requiredCounts
-      )) {
-        const currentCount = newUsed[reqCh] || 0;
-        if (currentCount < minCount) {
-          needMore += minCount - currentCount;
-        }
-      }
-      if (needMore > remaining) {
-        continue;
-      }
+  // 期望猜测次数按树重新计算（minimax 时 cost 不是次数之和）
+  function totalGuesses(node, depth) {
+    return node.branches.reduce(
+      (sum, branch) => sum + totalGuesses(branch.node, depth + 1),
+      node.isCandidate ? depth : 0
+    );
+  }
+
+  return {
+    root,
+    exact,
+    metric,
+    expectedGuesses: totalGuesses(root, 1) / sorted.length,
+    worstCase,
+  };
+}
+
+// 异步迭代时让出主线程的间隔（毫秒）
+const SOLVE_YIELD_INTERVAL = 50;
+
+// 每探索多少个节点检查一次是否需要让出控制权
+const SOLVE_CHECKPOINT_NODES = 1000;
+
+// 只能出现在左侧的字符（等号之后不可能再放；负号可以出现在右侧，不在其中）
+const LEFT_ONLY_SYMBOLS = "+*/^()²³";
+
+/**
+ * 字符优先级（越高越先尝试），让常见的等式更早出现
+ */
+function getCharPriority(ch, pos, length, constraints, used) {
+  let priority = 0;
+
+  // 1. 必需字符优先（还没用够的）
+  const needed = (constraints.minCounts[ch] || 0) - (used[ch] || 0);
+  if (needed > 0) {
+    priority += needed * 1000;
+  }
+
+  // 2. 数字优先于运算符；1、2、0 更常见
+  if (/\d/.test(ch)) {
+    priority += 100;
+    if (ch === "1") priority += 5;
+    else if (ch === "2") priority += 4;
+    else if (ch === "0") priority += 3;
+  }
+
+  // 3. 等号在合适位置（长度的 40-60% 位置）
+  if (ch === "=") {
+    const distance = Math.abs(pos - length * 0.5);
+    priority += Math.max(0, 50 - distance * 5);
+  }
+
+  // 4. 避免运算符在开头
+  if ("+-*/".includes(ch) && pos < 2) {
+    priority -= 50;
+  }
+
+  // 5. 常用运算符优先
+  if (ch === "+" || ch === "-") priority += 10;
+  if (ch === "*" || ch === "/") priority += 5;
+
+  return priority;
+}
 
-      // 递归
-      await dfs(pos + 1, current + ch, newUsed, hasEqual || ch === "=");
+/**
+ * 计算左侧某个位置可以尝试的字符（已应用全部剪枝，按优先级排序）
+ * 绿色固定位置同样经过这些剪枝，只是候选只有一个；等号之后见 getRightHandSides
+ * @returns {string[]} 字符列表
+ */
+function getCandidateChars(frame, context) {
+  const { constraints, rules, positionChars, length } = context;
+  const { pos, current, used } = frame;
+  const remaining = length - pos - 1;
+  const chars = [];
+
+  for (const ch of positionChars[pos]) {
+    // 等号不在首末
+    if (ch === "=" && (pos === 0 || remaining === 0)) continue;
+
+    // 左侧字符之后至少要留出等号和一位右侧数字
+    if (ch !== "=" && remaining < 2) continue;
+
+    // 规则配置（前导零、一元正负号、负数结果、运算符）
+    if (violatesRules(current, ch, rules)) continue;
+
+    // 运算符衔接、括号、乘方等结构
+    if (violatesStructure(current, ch, length)) continue;
+
+    // 次数上限
+    const count = (used[ch] || 0) + 1;
+    if (count > (constraints.maxCounts[ch] ?? Infinity)) continue;
+
+    // 剩余位置是否足够满足必需次数；放等号时左侧专用字符必须已经用够
+    let needMore = 0;
+    let needLeftOnly = 0;
+    for (const [reqCh, minCount] of Object.entries(constraints.minCounts)) {
+      const missing = minCount - (reqCh === ch ? count : used[reqCh] || 0);
+      if (missing <= 0) continue;
+      needMore += missing;
+      if (LEFT_ONLY_SYMBOLS.includes(reqCh)) needLeftOnly += missing;
     }
+    if (needMore > remaining) continue;
+    if (ch === "=" && needLeftOnly > 0) continue;
+
+    // 容错搜索：已经确定的错误格子数不能超过预算
+    if (context.tolerance && exceedsTolerance(frame, ch, context)) continue;
+
+    chars.push(ch);
   }
 
-  // 开始 DFS
-  await dfs(0, "", {}, false);
+  if (chars.length > 1) {
+    const priority = {};
+    for (const ch of chars) {
+      priority[ch] = getCharPriority(ch, pos, length, constraints, used);
+    }
+    chars.sort((a, b) => priority[b] - priority[a]);
+  }
 
-  console.log("DFS 完成:");
-  console.log("  调用次数:", dfsCallCount);
-  console.log("  到达终点:", reachedEnd);
-  console.log("  验证失败:", failedValidation);
-  console.log("  必需次数不满足:", failedRequired);
-  console.log("  找到结果:", results.length);
-  console.log("  耗时:", Date.now() - startTime, "ms");
+  return chars;
+}
 
-  // 排序
-  results.sort((a, b) => scoreCandidate(b) - scoreCandidate(a));
+/**
+ * 等号放下后直接计算右侧：对左侧求值，写出所有值相等、宽度正好填满的整数
+ * （如值为 7、宽度 3 时为 007；值为 0 时还有 -00），再按约束过滤
+ * 这样右侧不用逐位枚举，左侧不是整数的分支也在这里一次剪掉
+ * @returns {string[]} 可用的右侧字符串
+ */
+function getRightHandSides(frame, context) {
+  const { constraints, rules, positionChars, length } = context;
+  const width = length - frame.pos;
+
+  const result = evaluateExpression(frame.current.slice(0, -1), {
+    exactDivision: rules.exactDivision,
+  });
+  if (!result.ok || !rationalIsInteger(result.value)) return [];
+
+  const text = rationalToString(result.value);
+  const negative = text[0] === "-";
+  const digits = negative ? text.slice(1) : text;
+
+  const options = [];
+  if (!negative && digits.length <= width) {
+    options.push(digits.padStart(width, "0"));
+  }
+  // -0 与 0 相等，值为 0 时也可以写成带负号的形式
+  if ((negative || digits === "0") && digits.length <= width - 1) {
+    options.push("-" + digits.padStart(width - 1, "0"));
+  }
 
-  return results;
+  return options.filter((rhs) => {
+    const used = { ...frame.used };
+    for (let i = 0; i < rhs.length; i++) {
+      const ch = rhs[i];
+      if (!positionChars[frame.pos + i].includes(ch)) return false;
+      used[ch] = (used[ch] || 0) + 1;
+      if (used[ch] > (constraints.maxCounts[ch] ?? Infinity)) return false;
+    }
+    return !(context.tolerance && exceedsTolerance(frame, rhs, context));
+  });
 }
 
 /**
- * DFS 生成候选等式（同步版本，保留用于兼容）
+ * 搜索上下文：搜索树各节点共用的只读信息
+ * 容错搜索（options.tolerance）不使用传入的约束，而是按历史逐格计算错误数，见 createToleranceContext
  */
-function generateCandidates(constraints, options) {
-  const {
+function createSearchContext(constraints, options) {
+  const { length, history = null, rules = {}, tolerance = null } = options;
+
+  if (tolerance) {
+    constraints = buildConstraintsFromGuesses([], length, rules);
+  }
+
+  // 每个位置可用的字符（规则配置的字符集与约束的交集，保持字符集顺序）
+  const symbols = getSymbolSet(rules).split("");
+  const positionChars = constraints.allowed.map((set) =>
+    symbols.filter((ch) => set.has(ch))
+  );
+
+  return {
+    constraints,
+    rules,
+    positionChars,
     length,
-    maxResults = 200,
-    timeoutMs = 0, // 0 表示无超时
-    cancelledRef = { value: false },
-    onProgress = null, // 流式回调
-  } = options;
+    history,
+    tolerance:
+      tolerance && createToleranceContext(history || [], tolerance, length),
+  };
+}
 
-  const results = [];
-  const startTime = Date.now();
+function createRootFrame(context) {
+  return {
+    pos: 0,
+    current: "",
+    used: {},
+    hasEqual: false,
+    chars: null,
+    index: 0,
+    mismatches: context.tolerance
+      ? new Array(context.tolerance.groups.length).fill(0)
+      : null,
+  };
+}
 
-  // 可用字符集
-  const allowedChars = "0123456789+-*/="
-    .split("")
-    .filter((ch) => !constraints.excluded.has(ch));
+/**
+ * 展开节点：等号之后的节点只有一层，子节点是整段右侧；其余节点的子节点是单个字符
+ * @returns {string[]} 子节点对应的追加内容
+ */
+function expandFrame(frame, context) {
+  return frame.hasEqual
+    ? getRightHandSides(frame, context)
+    : getCandidateChars(frame, context);
+}
 
-  console.log("DFS 开始:");
-  console.log("  长度:", length);
-  console.log("  可用字符:", allowedChars.join(""));
-  console.log("  绿色固定:", constraints.greens);
-  console.log("  必需次数:", constraints.requiredCounts);
-  console.log("  最大次数:", constraints.maxCounts);
-  console.log("  排除字符:", Array.from(constraints.excluded).join(""));
-  console.log("  黄色禁止:", constraints.yellowForbiddenPositions);
+function createChildFrame(frame, token, context) {
+  const used = { ...frame.used };
+  for (const ch of token) used[ch] = (used[ch] || 0) + 1;
+  return {
+    pos: frame.pos + token.length,
+    current: frame.current + token,
+    used,
+    hasEqual: frame.hasEqual || token === "=",
+    chars: null,
+    index: 0,
+    mismatches: context.tolerance
+      ? addPositionMismatches(frame, token, context.tolerance)
+      : null,
+  };
+}
+
+/**
+ * 检查叶子节点（已填满的等式）
+ * @returns {string|null} 不合格时返回对应的统计字段名，合格时返回 null
+ */
+function checkLeaf(frame, context) {
+  const { constraints, rules, history, tolerance } = context;
 
-  let dfsCallCount = 0;
-  let reachedEnd = 0;
-  let failedValidation = 0;
-  let failedRequired = 0;
+  if (!frame.hasEqual || !isValidEquation(frame.current, rules)) {
+    return "failedValidation";
+  }
 
-  // DFS 递归函数
-  function dfs(pos, current, used, hasEqual) {
-    dfsCallCount++;
+  if (tolerance) {
+    const cells = findMismatchedCells(frame.current, history);
+    return countErrors(cells, tolerance.unit) > tolerance.maxErrors
+      ? "failedHistory"
+      : null;
+  }
 
-    // 检查取消
-    if (cancelledRef.value) {
-      return;
+  const missingRequired = Object.entries(constraints.minCounts).some(
+    ([ch, minCount]) => (frame.used[ch] || 0) < minCount
+  );
+  if (missingRequired) return "failedRequired";
+
+  // 约束模型与 computeFeedback 等价，这里再用完整历史复核一次，防止约束与历史不同步
+  if (history && !isConsistent(frame.current, history)) return "failedHistory";
+
+  return null;
+}
+
+/**
+ * 容错搜索的上下文：把历史按（行, 字符）分组，用于在搜索中估计错误数的下界
+ * 每组记录该字符在该行出现的次数 occurrences 与标为绿/黄的个数 present；
+ * cellsAt[pos] 列出该位置上各行的格子（所属组、字符、是否标为绿色）
+ * @param {Array} history - 猜测历史
+ * @param {Object} tolerance - {maxErrors, unit: "cell"|"row"}
+ * @param {number} length - 等式长度
+ */
+function createToleranceContext(history, tolerance, length) {
+  const { maxErrors = 0, unit = "cell" } = tolerance;
+  const groups = [];
+  const cellsAt = Array.from({ length }, () => []);
+
+  history.forEach(({ guess, patterns, solved }, row) => {
+    // 与 findMismatchedCells 一致
+    if (solved) return;
+    const pattern = Array.isArray(patterns) ? patterns[0] : patterns;
+    if (!pattern || pattern.length !== guess.length) return;
+    if (guess.length !== length) return;
+
+    const groupIndex = {};
+    for (let i = 0; i < length; i++) {
+      const ch = guess[i];
+      if (groupIndex[ch] === undefined) {
+        groupIndex[ch] = groups.length;
+        groups.push({ row, ch, occurrences: 0, present: 0 });
+      }
+      const group = groups[groupIndex[ch]];
+      group.occurrences++;
+      if (pattern[i] === "g" || pattern[i] === "y") group.present++;
+      cellsAt[i].push({
+        group: groupIndex[ch],
+        ch,
+        green: pattern[i] === "g",
+      });
     }
+  });
 
-    // 检查超时（如果设置了）
-    if (timeoutMs > 0 && Date.now() - startTime > timeoutMs) {
-      return;
+  return { maxErrors, unit, groups, cellsAt };
+}
+
+// 放下 token 后各组的位置错误数（标绿却不是该字符，或未标绿却正是该字符）
+function addPositionMismatches(frame, token, tolerance) {
+  const mismatches = frame.mismatches.slice();
+  for (let i = 0; i < token.length; i++) {
+    for (const cell of tolerance.cellsAt[frame.pos + i]) {
+      if ((token[i] === cell.ch) !== cell.green) mismatches[cell.group]++;
     }
+  }
+  return mismatches;
+}
 
-    // 达到最大结果数
-    if (results.length >= maxResults) {
-      return;
+/**
+ * 放下 token 后错误数的下界是否已超出预算
+ * 字符在答案中出现 n 次时，该行该字符标为绿/黄的格子应恰好有 min(n, occurrences) 个，
+ * 因此每组至少错 max(位置错误数, |min(n, occurrences) - present|) 格；n 还未确定时取可能范围内的最小差距
+ * 各组的格子互不重叠，下界可以相加
+ */
+function exceedsTolerance(frame, token, context) {
+  const { tolerance, length } = context;
+  const mismatches = addPositionMismatches(frame, token, tolerance);
+  const remaining = length - frame.pos - token.length;
+  const rows = new Set();
+  let total = 0;
+
+  tolerance.groups.forEach((group, k) => {
+    let n = frame.used[group.ch] || 0;
+    for (const ch of token) if (ch === group.ch) n++;
+
+    const low = Math.min(n, group.occurrences);
+    const high = Math.min(n + remaining, group.occurrences);
+    const gap =
+      group.present < low
+        ? low - group.present
+        : group.present > high
+        ? group.present - high
+        : 0;
+
+    const errors = Math.max(mismatches[k], gap);
+    if (errors > 0) {
+      total += errors;
+      rows.add(group.row);
     }
+  });
 
-    // 完成一个候选
-    if (pos === length) {
-      reachedEnd++;
+  return (tolerance.unit === "row" ? rows.size : total) > tolerance.maxErrors;
+}
 
-      // 必须有等号
-      if (!hasEqual) return;
+/**
+ * 搜索引擎核心：用显式栈做 DFS，逐个产出候选
+ * 左侧逐个字符枚举（即枚举操作数长度与运算符的骨架），放下等号后右侧由
+ * getRightHandSides 一次算出
+ * 产出 null 表示检查点（每 SOLVE_CHECKPOINT_NODES 个节点一次），供异步迭代让出控制权
+ */
+function* solveSteps(searchConstraints, options, stats, position) {
+  const {
+    length,
+    signal = null,
+    deadline = null,
+    maxNodes = Infinity,
+  } = options;
+  const context = createSearchContext(searchConstraints, options);
+  const { constraints } = context;
+
+  Object.assign(stats, {
+    explored: 0,
+    reachedEnd: 0,
+    failedLeft: 0,
+    failedValidation: 0,
+    failedRequired: 0,
+    failedHistory: 0,
+    found: 0,
+    current: "",
+    timedOut: false,
+  });
+  const startTime = Date.now();
 
-      // 验证等式
-      if (!isValidEquation(current)) {
-        failedValidation++;
-        if (reachedEnd <= 10) {
-          console.log("  验证失败:", current);
-        }
-        return;
-      }
+  console.log("DFS 开始:");
+  console.log("  长度:", length);
+  console.log(
+    "  可用字符:",
+    context.positionChars.map((chars) => chars.join("")).join(" | ")
+  );
+  console.log("  绿色固定:", constraints.greens);
+  console.log("  次数下限:", constraints.minCounts);
+  console.log("  次数上限:", constraints.maxCounts);
+  console.log("  排除字符:", Array.from(constraints.excluded).join(""));
+  if (context.tolerance) {
+    console.log("  容错:", options.tolerance);
+  }
 
-      // 检查是否满足必需次数
-      let valid = true;
-      for (const [ch, minCount] of Object.entries(constraints.requiredCounts)) {
-        if ((used[ch] || 0) < minCount) {
-          valid = false;
-          break;
+  // 历史本身互相矛盾时没有任何候选
+  if (constraints.conflicts.length > 0) {
+    console.log("  历史矛盾:", constraints.conflicts.map((c) => c.message));
+    position.stack = [];
+    return;
+  }
+
+  const stack = options.cursor
+    ? restoreStack(options.cursor, context)
+    : [createRootFrame(context)];
+  position.stack = stack;
+
+  try {
+    while (stack.length > 0) {
+      if (signal && signal.aborted) return;
+
+      const frame = stack[stack.length - 1];
+
+      // 首次访问该节点
+      if (frame.chars === null) {
+        stats.explored++;
+        stats.current = frame.current;
+        if (stats.explored % SOLVE_CHECKPOINT_NODES === 0) {
+          if (
+            (deadline && Date.now() > deadline) ||
+            stats.explored >= maxNodes
+          ) {
+            stats.timedOut = true;
+            return;
+          }
+          yield null;
         }
-      }
 
-      if (!valid) {
-        failedRequired++;
-        if (reachedEnd <= 10) {
-          console.log("  未满足必需次数:", current, used);
+        if (frame.pos === length) {
+          stack.pop();
+          stats.reachedEnd++;
+
+          const failure = checkLeaf(frame, context);
+          if (failure) {
+            stats[failure]++;
+            continue;
+          }
+
+          stats.found++;
+          yield frame.current;
+          continue;
         }
-        return;
-      }
 
-      results.push(current);
-      if (results.length <= 5) {
-        console.log("  ✓ 找到候选:", current);
+        frame.chars = expandFrame(frame, context);
+        if (frame.hasEqual && frame.chars.length === 0) stats.failedLeft++;
       }
 
-      // 流式回调
-      if (onProgress && results.length % 10 === 0) {
-        onProgress(results.slice());
+      if (frame.index >= frame.chars.length) {
+        stack.pop();
+        continue;
       }
 
-      return;
+      stack.push(createChildFrame(frame, frame.chars[frame.index++], context));
     }
+  } finally {
+    console.log("DFS 结束:");
+    console.log("  探索节点:", stats.explored);
+    console.log("  到达终点:", stats.reachedEnd);
+    console.log("  左侧无可用右侧:", stats.failedLeft);
+    console.log("  验证失败:", stats.failedValidation);
+    console.log("  必需次数不满足:", stats.failedRequired);
+    console.log("  历史复核不一致:", stats.failedHistory);
+    console.log("  找到结果:", stats.found);
+    console.log("  耗时:", Date.now() - startTime, "ms");
+  }
+}
 
-    // 如果该位置有绿色固定字符
-    if (constraints.greens[pos]) {
-      const ch = constraints.greens[pos];
+/**
+ * 按游标重建 DFS 栈：cursor[k] 是第 k 层节点已展开的子节点数，
+ * 第 k + 1 层即该节点的第 cursor[k] 个子节点；末尾的 0 表示栈顶节点尚未访问
+ * 子节点顺序只取决于约束与配置，因此同样的条件下重建出的栈与中断时一致
+ */
+function restoreStack(cursor, context) {
+  const stack = [createRootFrame(context)];
+
+  cursor.forEach((index, k) => {
+    const frame = stack[k];
+    if (index === 0) return;
+
+    frame.chars = expandFrame(frame, context);
+    if (!Number.isInteger(index) || index < 0 || index > frame.chars.length) {
+      throw new Error("搜索游标与当前条件不匹配，请重新搜索");
+    }
+    frame.index = index;
+    if (k < cursor.length - 1) {
+      stack.push(createChildFrame(frame, frame.chars[index - 1], context));
+    }
+  });
+
+  return stack;
+}
+
+/**
+ * 候选搜索引擎，既可同步迭代也可异步迭代：
+ *   for (const eq of solve(constraints, {length})) { ... }
+ *   for await (const eq of solve(constraints, {length, signal})) { ... }
+ * 结果按搜索顺序流式产出，不排序、不限数量，由调用方决定何时停止
+ * 异步迭代每 50ms 让出一次主线程，并通过 onProgress 报告进度
+ * @param {Object} constraints - 约束对象
+ * @param {Object} options - 配置
+ * @param {number} options.length - 等式长度
+ * @param {Array} [options.history] - 完整猜测历史，用于对结果做精确复核
+ * @param {Object} [options.rules] - 规则配置（见 rules.js）
+ * @param {AbortSignal} [options.signal] - 取消信号，中止后迭代立即结束
+ * @param {number} [options.deadline] - 截止时间戳，到达后迭代结束并记录 stats.timedOut
+ * @param {number} [options.maxNodes] - 探索节点数上限（按检查点取整），到达后同 deadline 一样结束
+ * @param {Function} [options.onProgress] - 异步迭代时的进度回调 {found, explored, current}
+ * @param {Object} [options.tolerance] - 容错搜索 {maxErrors, unit: "cell"|"row"}：忽略 constraints，
+ *   产出假设最多 maxErrors 个格子（或整行）录错时与 history 一致的等式
+ * @param {number[]} [options.cursor] - 从 getCursor() 返回的位置继续搜索（约束与其余配置须与当时相同）
+ * @returns {Object} 可迭代对象，stats 字段为搜索统计；
+ *   getCursor() 返回当前位置的游标（可 JSON 序列化），搜索完毕时返回 null
+ */
+function solve(constraints, options) {
+  const stats = {};
+  const position = { stack: null };
+
+  return {
+    stats,
+
+    // 停止迭代（break、取消或超时）后调用，记录下一个结果之前的位置
+    getCursor() {
+      if (!position.stack) return options.cursor || [];
+      if (position.stack.length === 0) return null;
+      return position.stack.map((frame) => frame.index);
+    },
+
+    *[Symbol.iterator]() {
+      for (const step of solveSteps(constraints, options, stats, position)) {
+        if (step !== null) yield step;
+      }
+    },
 
-      // 【关键剪枝】等号前不能是运算符
-      if (ch === "=") {
-        const lastChar = pos > 0 ? current[pos - 1] : null;
-        if (lastChar && "+-*/".includes(lastChar)) {
-          return; // 剪枝：等号前是运算符，这条路径无效
+    async *[Symbol.asyncIterator]() {
+      let lastYieldTime = Date.now();
+      for (const step of solveSteps(constraints, options, stats, position)) {
+        if (step !== null) {
+          yield step;
+          continue;
+        }
+
+        if (Date.now() - lastYieldTime > SOLVE_YIELD_INTERVAL) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+          lastYieldTime = Date.now();
+
+          if (options.onProgress) {
+            options.onProgress({
+              found: stats.found,
+              explored: stats.explored,
+              current: stats.current,
+            });
+          }
         }
       }
+    },
+  };
+}
+
+/**
+ * 异步收集候选：最多 maxResults 个，每找到一个回调一次，结束后排序（见 ranking.js 的 rankCandidates）
+ * 搜索 Worker 与主线程降级路径共用；传入上次返回的 cursor 即可继续加载下一页
+ * @param {Object} constraints - 约束对象
+ * @param {Object} options - solve 的配置，另加 maxResults 与 ranking（排序策略名）
+ * @returns {Promise<Object>} {results, cursor}：results 为候选等式（取消时为已找到的部分结果），
+ *   cursor 为继续搜索用的游标，已搜索完毕时为 null
+ */
+async function collectCandidates(constraints, options) {
+  const { maxResults = 200, onProgress = null } = options;
+  const search = solve(constraints, options);
+  const results = [];
+
+  for await (const equation of search) {
+    results.push(equation);
+
+    // 流式回调 - 每找到一个就立即回调
+    if (onProgress) {
+      onProgress({
+        found: results.length,
+        explored: search.stats.explored,
+        current: equation,
+        newResult: equation,
+      });
+    }
+
+    if (results.length >= maxResults) break;
+  }
+
+  return {
+    results: rankCandidates(results, options.ranking, options),
+    cursor: search.getCursor(),
+  };
+}
+
+// 计数的默认时间预算（毫秒），超时后给出下界
+const COUNT_TIME_BUDGET = 2000;
+
+// 记忆化表的最大条目数，防止内存失控
+const COUNT_MEMO_LIMIT = 1000000;
+
+/**
+ * 枚举计数：逐个数出 solve 的结果，超过时间预算或被取消时给出下界
+ * 用于计数模型不支持的字符集（括号、乘方）；异步迭代，期间定时让出控制权
+ */
+async function countByEnumeration(constraints, options) {
+  const { timeBudgetMs = COUNT_TIME_BUDGET, signal = null } = options;
+  const startTime = Date.now();
+  const search = solve(constraints, {
+    ...options,
+    deadline: startTime + timeBudgetMs,
+    onProgress: null,
+  });
+
+  let count = 0;
+  for await (const _ of search) count++;
+
+  return {
+    count,
+    exact: !search.stats.timedOut && !(signal && signal.aborted),
+    method: "enumerate",
+    elapsed: Date.now() - startTime,
+  };
+}
+
+/**
+ * 统计符合历史的候选数量，不受 maxResults 限制
+ * 用 createCountModel 做带时间预算的记忆化枚举；括号、乘方与容错搜索退回逐个枚举
+ * 超过时间预算或被取消时返回已数出的部分，作为下界（exact 为 false）；候选多时经常如此
+ * 分段计数（见 countModelInSlices），期间定时让出控制权并检查取消信号
+ * @param {Object} constraints - 约束对象（见 buildConstraintsFromGuesses）
+ * @param {Object} options - 配置
+ * @param {number} options.length - 等式长度
+ * @param {Array} [options.history] - 完整猜测历史（枚举计数时用于复核）
+ * @param {Object} [options.rules] - 规则配置（见 rules.js）
+ * @param {number} [options.timeBudgetMs] - 时间预算（毫秒）
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Object>} {count, exact, method: "memo"|"enumerate", elapsed}
+ */
+async function countCandidates(constraints, options) {
+  const { timeBudgetMs = COUNT_TIME_BUDGET, signal = null } = options;
+  const startTime = Date.now();
+
+  const model = createCountModel(constraints, options);
+  if (!model) return countByEnumeration(constraints, options);
+
+  const total = await countModelInSlices(model, {
+    deadline: startTime + timeBudgetMs,
+    signal,
+  });
+
+  return {
+    count: total,
+    exact: !model.timedOut() && Number.isSafeInteger(total),
+    method: "memo",
+    elapsed: Date.now() - startTime,
+  };
+}
 
-      const newUsed = { ...used };
-      newUsed[ch] = (newUsed[ch] || 0) + 1;
+/**
+ * 分段运行计数模型：每段最多 SOLVE_YIELD_INTERVAL 毫秒，段间让出控制权并检查取消信号，
+ * 下一段从上一段停下的位置继续（见 createCountModel 的 resume）
+ * @param {Object} model - createCountModel 返回的模型
+ * @param {Object} [options] - {deadline, signal}：截止时间（时间戳），取消信号
+ * @returns {Promise<number>} 数完时为总数；超时、取消或用完调用次数预算时为已数完的部分，
+ *   此时 model.timedOut() 为 true
+ */
+async function countModelInSlices(model, options = {}) {
+  const { deadline = Infinity, signal = null } = options;
+  const sliceMs = () =>
+    Math.max(0, Math.min(SOLVE_YIELD_INTERVAL, deadline - Date.now()));
+
+  model.resume(sliceMs());
+  let total = model.count(model.root);
+  while (model.timedOut() && !model.exhausted() && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (signal && signal.aborted) break;
+    model.resume(sliceMs());
+    total = model.count(model.root);
+  }
+  return total;
+}
 
-      // 检查是否超过最大次数
+/**
+ * 左侧计数模型：带时间预算的记忆化枚举，countCandidates 与 sampleCandidates 共用
+ * 状态为（位置、受限字符的已用次数、已完成各项之和、当前乘除链的值、待用的乘除号、
+ * 正在书写的数字），只有前缀恰好算出相同的和与乘除链值时才合并，
+ * 所以它不是按结构合并的动态规划，实测通常只比逐个枚举快两三倍；
+ * 放下等号时直接列出能写进剩余位置的右侧（同 getRightHandSides），省去逐个枚举右侧
+ * @param {Object} constraints - 约束对象（见 buildConstraintsFromGuesses）
+ * @param {Object} options - {length, rules, tolerance, timeBudgetMs, callBudget}，
+ *   超过时间预算或调用次数预算后 count 返回已数完的部分（下界）且 timedOut() 为 true；
+ *   resume(timeBudgetMs) 清除超时标记并重新开始计时，之后对同一状态调用 count 从停下的位置继续
+ * @returns {Object|null} {root, count(state), successors(state), timedOut(), exhausted(), resume(timeBudgetMs)}；
+ *   字符集含括号、乘方或为容错搜索时返回 null
+ */
+function createCountModel(constraints, options) {
+  const { length, rules = {}, callBudget = Infinity } = options;
+  let { timeBudgetMs = COUNT_TIME_BUDGET } = options;
+  let startTime = Date.now();
+  const symbols = getSymbolSet(rules);
+
+  // 括号、乘方会让左侧状态变成嵌套结构，容错搜索没有精确约束
+  if (
+    options.tolerance ||
+    ![...symbols].every((ch) => DEFAULT_SYMBOLS.includes(ch))
+  ) {
+    return null;
+  }
+
+  const { allowed, minCounts, maxCounts, conflicts } = constraints;
+
+  // 只跟踪有下限或上限的字符；没有上限的字符计到下限为止即可
+  const tracked = [
+    ...new Set([...Object.keys(minCounts), ...Object.keys(maxCounts)]),
+  ].filter((ch) => (maxCounts[ch] ?? Infinity) > 0);
+  const trackedIndex = {};
+  tracked.forEach((ch, i) => (trackedIndex[ch] = i));
+
+  const memo = new Map();
+  let calls = 0;
+  let timedOut = false;
+
+  // 放置字符后的次数，超过上限时返回 null
+  function place(counts, ch) {
+    const i = trackedIndex[ch];
+    if (i === undefined) return counts;
+    const max = maxCounts[ch];
+    if (max !== undefined && counts[i] >= max) return null;
+    if (max === undefined && counts[i] >= minCounts[ch]) return counts;
+    const next = counts.slice();
+    next[i]++;
+    return next;
+  }
+
+  function deficit(counts) {
+    let missing = 0;
+    tracked.forEach((ch, i) => {
+      missing += Math.max(0, (minCounts[ch] || 0) - counts[i]);
+    });
+    return missing;
+  }
+
+  // 数字写完后作为因子并入乘除链，除零或不能整除时返回 null
+  function applyFactor(term, op, digits, sign) {
+    if (rules.allowLoneZero === false && digits === "0") return null;
+
+    let factor = makeRational(parseIntegerLiteral(digits));
+    if (sign === "-") factor = rationalMul(factor, makeRational(-1));
+
+    if (op === "*") return rationalMul(term, factor);
+    if (factor.num === 0) return null;
+    const quotient = rationalDiv(term, factor);
+    if (rules.exactDivision && !rationalIsInteger(quotient)) return null;
+    return quotient;
+  }
+
+  // 列出从 pos 开始、值等于 value 的右侧写法
+  function rightHandSides(pos, counts, value) {
+    if (!rationalIsInteger(value)) return [];
+    const width = length - pos;
+    const text = rationalToString(value);
+    const negative = text[0] === "-";
+    const digits = negative ? text.slice(1) : text;
+
+    const options = [];
+    if (!negative && digits.length <= width) {
+      options.push(digits.padStart(width, "0"));
+    }
+    if (
+      (negative || digits === "0") &&
+      digits.length <= width - 1 &&
+      rules.allowNegativeResult !== false
+    ) {
+      options.push("-" + digits.padStart(width - 1, "0"));
+    }
+
+    return options.filter((rhs) => {
+      const rhsDigits = rhs.replace(/^-/, "");
       if (
-        constraints.maxCounts[ch] &&
-        newUsed[ch] > constraints.maxCounts[ch]
+        rules.allowLeadingZeros === false &&
+        rhsDigits.length > 1 &&
+        rhsDigits[0] === "0"
       ) {
-        return;
+        return false;
       }
 
-      dfs(pos + 1, current + ch, newUsed, hasEqual || ch === "=");
-      return;
-    }
+      let next = counts;
+      for (let i = 0; i < rhs.length && next; i++) {
+        next = allowed[pos + i].has(rhs[i]) ? place(next, rhs[i]) : null;
+      }
+      return next !== null && deficit(next) === 0;
+    });
+  }
 
-    // 尝试每个可用字符
-    for (const ch of allowedChars) {
-      // 【关键剪枝】避免连续运算符（除了负号）
-      const lastChar = pos > 0 ? current[pos - 1] : null;
-      if ("+-*/".includes(ch) && lastChar) {
-        if ("+-*/=".includes(lastChar)) {
-          if (ch !== "-") {
-            continue;
-          }
-          if (lastChar === "-" && ch === "-") {
-            continue;
-          }
-        }
+  // 状态的所有后继：{ch, state} 继续书写左侧，或 {ch, rightSides} 放下等号后的全部右侧
+  // digits 为 null 时正在等待操作数（sign 为刚放下的一元正负号，prevOp 为刚放下的二元运算符）
+  function successors(state) {
+    const { pos, counts, sum, term, op, prevOp, sign, digits } = state;
+    const remaining = length - pos;
+    const list = [];
+
+    for (const ch of allowed[pos]) {
+      const next = place(counts, ch);
+      if (!next) continue;
+
+      if (/\d/.test(ch)) {
+        // 数字之后至少还要放等号和一位右侧
+        if (remaining < 3) continue;
+        if (digits === "0" && rules.allowLeadingZeros === false) continue;
+        list.push({
+          ch,
+          state: {
+            pos: pos + 1,
+            counts: next,
+            sum,
+            term,
+            op,
+            prevOp: null,
+            sign,
+            digits: (digits || "") + ch,
+          },
+        });
+      } else if (ch === "=") {
+        if (digits === null || remaining < 2) continue;
+        const value = applyFactor(term, op, digits, sign);
+        if (!value) continue;
+        list.push({
+          ch,
+          rightSides: rightHandSides(pos + 1, next, rationalAdd(sum, value)),
+        });
+      } else if (digits === null) {
+        // 一元正负号：只能紧跟数字，不允许 --、++
+        if (ch !== "+" && ch !== "-") continue;
+        if (sign !== null || prevOp === ch || remaining < 4) continue;
+        if (ch === "-" && rules.allowUnaryMinus === false) continue;
+        if (ch === "+" && rules.allowUnaryPlus === false) continue;
+        list.push({
+          ch,
+          state: {
+            pos: pos + 1,
+            counts: next,
+            sum,
+            term,
+            op,
+            prevOp,
+            sign: ch,
+            digits: null,
+          },
+        });
+      } else {
+        // 二元运算符
+        if (rules.operators && !rules.operators.includes(ch)) continue;
+        if (remaining < 4) continue;
+        const value = applyFactor(term, op, digits, sign);
+        if (!value) continue;
+        const multiplicative = ch === "*" || ch === "/";
+        list.push({
+          ch,
+          state: {
+            pos: pos + 1,
+            counts: next,
+            sum: multiplicative ? sum : rationalAdd(sum, value),
+            term: multiplicative ? value : makeRational(ch === "-" ? -1 : 1),
+            op: multiplicative ? ch : "*",
+            prevOp: ch,
+            sign: null,
+            digits: null,
+          },
+        });
       }
+    }
+    return list;
+  }
+
+  function stateKey(state) {
+    const { pos, counts, sum, term, op, prevOp, sign, digits } = state;
+    const digitsKey =
+      digits === null ? "" : digits === "0" ? "z" : digits.replace(/^0+/, "");
+    return [
+      pos,
+      counts.join(","),
+      rationalToString(sum),
+      rationalToString(term),
+      op,
+      digits === null ? prevOp : "",
+      sign,
+      digits === null ? "_" : digitsKey,
+    ].join("|");
+  }
+
+  // 不用展开就知道数量的状态（剩余位置放不下必需字符，或已在记忆化表中），否则返回 null
+  function knownCount(state, key) {
+    if (deficit(state.counts) > length - state.pos) return 0;
+    return memo.has(key) ? memo.get(key) : null;
+  }
+
+  // 超出预算时停下的位置 {root, stack}：再次对同一状态调用 count 时从这里继续
+  let pending = null;
+
+  // 用显式栈做深度优先计数，超出预算时保留栈并返回已数完部分之和
+  function count(root) {
+    if (timedOut) return 0;
+
+    if (!pending || pending.root !== root) {
+      const key = stateKey(root);
+      const known = knownCount(root, key);
+      if (known !== null) return known;
+      calls++;
+      pending = {
+        root,
+        stack: [{ key, list: successors(root), index: 0, total: 0 }],
+      };
+    }
 
-      // 等号限制：只能有一个，不在首末
-      if (ch === "=") {
-        // 【关键剪枝】等号前不能是运算符
-        if (lastChar && "+-*/".includes(lastChar)) {
+    const { stack } = pending;
+    while (true) {
+      const frame = stack[stack.length - 1];
+
+      if (frame.index < frame.list.length) {
+        const next = frame.list[frame.index++];
+        if (!next.state) {
+          frame.total += next.rightSides.length;
           continue;
         }
 
-        if (hasEqual || pos === 0 || pos === length - 1) continue;
-
-        // 额外检查：等号右侧必须只能放数字
-        // 检查剩余位置是否只能放数字（没有运算符需求）
-        const rightLength = length - pos - 1;
-        let needOperators = 0;
-        for (const [reqCh, minCount] of Object.entries(
-          constraints.requiredCounts
-        )) {
-          if ("+-*/".includes(reqCh)) {
-            const currentCount = used[reqCh] || 0;
-            if (currentCount < minCount) {
-              needOperators += minCount - currentCount;
-            }
-          }
+        const key = stateKey(next.state);
+        const known = knownCount(next.state, key);
+        if (known !== null) {
+          frame.total += known;
+          continue;
         }
 
-        // 如果还需要运算符，但等号之后没有足够空间，跳过
-        if (needOperators > 0) {
-          continue;
+        // 预算只计算新状态，已算过的状态随时可以再查；超出时这个子状态留到下次
+        if (
+          calls >= callBudget ||
+          (calls % 4096 === 0 && Date.now() - startTime > timeBudgetMs)
+        ) {
+          frame.index--;
+          timedOut = true;
+          return stack.reduce((sum, f) => sum + f.total, 0);
         }
-      }
+        calls++;
 
-      // 【修正】等号后只禁止 *、/、+，允许负号 -
-      if (hasEqual && "*/+".includes(ch)) {
+        stack.push({ key, list: successors(next.state), index: 0, total: 0 });
         continue;
       }
 
-      // 检查位置禁止
-      if (constraints.yellowForbiddenPositions[ch]?.has(pos)) {
-        continue;
+      stack.pop();
+      if (memo.size < COUNT_MEMO_LIMIT) memo.set(frame.key, frame.total);
+      if (stack.length === 0) {
+        pending = null;
+        return frame.total;
       }
+      stack[stack.length - 1].total += frame.total;
+    }
+  }
 
-      // 检查次数限制
-      const newUsed = { ...used };
-      newUsed[ch] = (newUsed[ch] || 0) + 1;
+  return {
+    // 历史本身矛盾时没有任何状态可走
+    root:
+      conflicts.length > 0
+        ? null
+        : {
+            pos: 0,
+            counts: tracked.map(() => 0),
+            sum: makeRational(0),
+            term: makeRational(1),
+            op: "*",
+            prevOp: null,
+            sign: null,
+            digits: null,
+          },
+    count: (state) => (state ? count(state) : 0),
+    successors,
+    timedOut: () => timedOut,
+    // 调用次数预算已用完（再 resume 也不会有进展）
+    exhausted: () => calls >= callBudget,
+    resume(budgetMs) {
+      timedOut = false;
+      timeBudgetMs = budgetMs;
+      startTime = Date.now();
+    },
+  };
+}
 
-      if (
-        constraints.maxCounts[ch] &&
-        newUsed[ch] > constraints.maxCounts[ch]
-      ) {
-        continue;
-      }
+/**
+ * 搜索结束后统计候选总数：搜索没有被 maxResults 截断时结果本身就是全部，
+ * 否则用 countCandidates 计数（超时给出的下界至少是已找到的数量）
+ * 计数超时时下界往往比实际小几个数量级，另附 estimateCandidates 的估计（以下界为最小值）
+ * @param {Array} results - 本次搜索找到的候选
+ * @param {Object} constraints - 约束对象
+ * @param {Object} options - 搜索配置（同 collectCandidates，另可带 timeBudgetMs 与 signal）
+ * @returns {Promise<Object>} {count, exact, method, elapsed, estimate?}：
+ *   estimate 只在计数超时时给出，为 {estimate, low, high}（无法估计时 estimate 与 high 为 null）
+ */
+async function countAfterSearch(results, constraints, options) {
+  const { maxResults = 200, signal = null } = options;
+  if (results.length < maxResults) {
+    return { count: results.length, exact: true, method: "search", elapsed: 0 };
+  }
 
-      // 剪枝：检查剩余位置是否足够满足必需次数
-      const remaining = length - pos - 1;
-      let needMore = 0;
-      for (const [reqCh, minCount] of Object.entries(
-        constraints.requiredCounts
-      )) {
-        const currentCount = newUsed[reqCh] || 0;
-        if (currentCount < minCount) {
-          needMore += minCount - currentCount;
-        }
-      }
-      if (needMore > remaining) {
-        continue;
-      }
+  const counted = await countCandidates(constraints, options);
+  const count = Math.max(counted.count, results.length);
+  if (counted.exact || (signal && signal.aborted)) {
+    return { ...counted, count };
+  }
 
-      // 递归
-      dfs(pos + 1, current + ch, newUsed, hasEqual || ch === "=");
+  const { estimate, low, high } = estimateCandidates(constraints, {
+    ...options,
+    timeBudgetMs: ESTIMATE_TIME_BUDGET,
+  });
+  return {
+    ...counted,
+    count,
+    estimate: {
+      estimate: estimate === null ? null : Math.max(estimate, count),
+      low: Math.max(low, count),
+      high: high === null ? null : Math.max(high, count),
+    },
+  };
+}
+
+// 随机探测的默认次数与时间预算（毫秒）
+const ESTIMATE_SAMPLES = 400;
+const ESTIMATE_TIME_BUDGET = 150;
+
+// 时间预算用完时至少要完成的探测次数
+const ESTIMATE_MIN_SAMPLES = 30;
+
+// 用于测量节点耗时的真实搜索时长（毫秒）
+const ESTIMATE_CALIBRATION_MS = 50;
+
+/**
+ * 一次 Knuth 随机探测：从根出发，每层在可选子节点中均匀随机选一个，直到叶子或死路
+ * @returns {Object} {leaf, weight, nodes}：leaf 为命中的合格候选（否则为 null），
+ *   weight 为沿途分支数之积（即到达该叶子的概率的倒数），nodes 为各层乘积之和
+ */
+function randomProbe(context, random) {
+  let frame = createRootFrame(context);
+  let weight = 1;
+  let nodes = 1;
+
+  while (true) {
+    if (frame.pos === context.length) {
+      const leaf = checkLeaf(frame, context) ? null : frame.current;
+      return { leaf, weight, nodes };
     }
+
+    const tokens = expandFrame(frame, context);
+    if (tokens.length === 0) return { leaf: null, weight, nodes };
+
+    weight *= tokens.length;
+    nodes += weight;
+    frame = createChildFrame(
+      frame,
+      tokens[Math.floor(random() * tokens.length)],
+      context
+    );
   }
+}
+
+/**
+ * 用 Knuth 随机探测估计候选数量和完整枚举所需时间
+ * 每次探测从根出发，每层在 solve 的可选子节点中均匀随机选一个，直到叶子或死路；
+ * 沿途分支数的乘积是该路径代表的节点数：叶子合格时它是候选数的无偏估计，
+ * 各层乘积之和是搜索树节点数的无偏估计。多次探测取平均，用样本标准差给出约 95% 置信区间
+ * 分支很不均匀时方差较大，区间只作参考；没有任何探测命中候选时数量无法估计
+ * （estimate 与 high 为 null，low 为校准搜索已找到的数量），调用方应把搜索耗时当作未知
+ * 耗时估计用一小段真实搜索测得的每节点耗时；这段搜索如果直接跑完，结果就是精确值
+ * @param {Object} constraints - 约束对象
+ * @param {Object} options - 配置
+ * @param {number} options.length - 等式长度
+ * @param {Array} [options.history] - 完整猜测历史
+ * @param {Object} [options.rules] - 规则配置（见 rules.js）
+ * @param {number} [options.samples] - 探测次数上限
+ * @param {number} [options.timeBudgetMs] - 时间预算（毫秒）
+ * @param {Function} [options.random] - 随机数函数，默认 Math.random
+ * @returns {Object} {estimate, low, high, nodes, estimatedMs, samples, exact}，
+ *   estimatedMs 为完整枚举的耗时（节点数的估计不依赖探测是否命中）
+ */
+function estimateCandidates(constraints, options) {
+  const {
+    samples = ESTIMATE_SAMPLES,
+    timeBudgetMs = ESTIMATE_TIME_BUDGET,
+    random = Math.random,
+  } = options;
+  const context = createSearchContext(constraints, options);
+  const startTime = Date.now();
 
-  // 开始 DFS
-  dfs(0, "", {}, false);
+  let sum = 0;
+  let sumSquares = 0;
+  let nodeSum = 0;
+  let probes = 0;
+
+  while (probes < samples) {
+    if (
+      probes >= ESTIMATE_MIN_SAMPLES &&
+      Date.now() - startTime > timeBudgetMs
+    ) {
+      break;
+    }
+
+    const { leaf, weight, nodes } = randomProbe(context, random);
+    const value = leaf ? weight : 0;
 
-  console.log("DFS 完成:");
-  console.log("  调用次数:", dfsCallCount);
-  console.log("  到达终点:", reachedEnd);
-  console.log("  验证失败:", failedValidation);
-  console.log("  必需次数不满足:", failedRequired);
-  console.log("  找到结果:", results.length);
-  console.log("  耗时:", Date.now() - startTime, "ms");
+    sum += value;
+    sumSquares += value * value;
+    nodeSum += nodes;
+    probes++;
+  }
 
-  // 排序
-  results.sort((a, b) => scoreCandidate(b) - scoreCandidate(a));
+  // 探测之后再校准（此时相关函数已经预热，测得的耗时更接近长时间搜索）
+  const calibrationStart = Date.now();
+  const calibration = solve(constraints, {
+    ...options,
+    deadline: calibrationStart + ESTIMATE_CALIBRATION_MS,
+  });
+  let found = 0;
+  for (const _ of calibration) found++;
+
+  const calibrationMs = Date.now() - calibrationStart;
+  const { explored, timedOut } = calibration.stats;
+  if (!timedOut) {
+    return {
+      estimate: found,
+      low: found,
+      high: found,
+      nodes: explored,
+      estimatedMs: calibrationMs,
+      samples: 0,
+      exact: true,
+    };
+  }
+  const msPerNode = calibrationMs / explored;
+
+  const mean = sum / probes;
+  const variance =
+    probes > 1
+      ? Math.max(0, (sumSquares - probes * mean * mean) / (probes - 1))
+      : 0;
+  const margin = 1.96 * Math.sqrt(variance / probes);
+  const nodeEstimate = Math.max(nodeSum / probes, explored);
+
+  // 候选很稀疏时探测可能一个也没命中，均值 0 并不说明没有候选
+  if (sum === 0) {
+    return {
+      estimate: null,
+      low: found,
+      high: null,
+      nodes: Math.round(nodeEstimate),
+      estimatedMs: Math.round(nodeEstimate * msPerNode),
+      samples: probes,
+      exact: false,
+    };
+  }
 
-  return results;
+  return {
+    // 校准搜索已经找到的候选是确定存在的
+    estimate: Math.max(Math.round(mean), found),
+    low: Math.max(Math.floor(mean - margin), found),
+    high: Math.max(Math.ceil(mean + margin), found),
+    nodes: Math.round(nodeEstimate),
+    estimatedMs: Math.round(nodeEstimate * msPerNode),
+    samples: probes,
+    exact: false,
+  };
 }
 
+// 抽样预算：按计数调用次数、搜索节点数与探测次数计算而不是按时间，
+// 同样的种子在不同机器上得到同样的样本
+const SAMPLE_COUNT_CALLS = 500000;
+const SAMPLE_ENUMERATE_NODES = 200000;
+const SAMPLE_WALKS = 20000;
+
+// 按权重拒绝抽样时，每个样本最多尝试的次数
+const SAMPLE_MAX_ATTEMPTS = 50;
+
+// 抽样权重：等式的相对权重，取值 (0, 1]
+const SAMPLE_WEIGHTS = {
+  uniform: () => 1,
+  // 偏向字符多样的等式：不同字符越多权重越大
+  diverse: (expr) => new Set(expr).size / expr.length,
+};
+
 /**
- * 为 4 式模式生成候选（分别对每个目标求解）
- * @param {Array} guesses - 猜测历史
- * @param {Object} options - 配置
- * @returns {Array} 4 个结果数组
+ * 由种子生成可复现的伪随机数序列（mulberry32）
+ * @param {number} seed - 整数种子
+ * @returns {Function} 每次调用返回 [0, 1) 的随机数
  */
-function generateCandidatesFor4Mode(guesses, options) {
-  const results = [];
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-  console.log("=== 4式模式生成 ===");
-  console.log("总猜测数:", guesses.length);
+/**
+ * 加权无放回抽样的键（Efraimidis–Spirakis）：取键最大的 k 个，
+ * 等价于按权重逐个不放回地抽取；取对数避免权重很大时键都挤在 1 附近
+ */
+function sampleKey(weight, random) {
+  return Math.log(random()) / weight;
+}
 
-  for (let targetIdx = 0; targetIdx < 4; targetIdx++) {
-    console.log(`\n--- 目标 ${targetIdx + 1} ---`);
+// 沿计数模型从根走到叶子，每步按各后继的候选数加权选择，得到一个均匀随机的候选
+function drawFromModel(model, random) {
+  let state = model.root;
+  let expr = "";
 
-    // 为每个目标构建独立约束
-    const targetGuesses = guesses.map(({ guess, patterns }) => {
-      const pattern = Array.isArray(patterns) ? patterns[targetIdx] : patterns;
-      console.log(`  猜测: ${guess}, 模式: ${pattern}`);
-      return {
-        guess,
-        patterns: pattern,
-      };
-    });
+  while (true) {
+    const next = model.successors(state);
+    const weights = next.map((n) =>
+      n.state ? model.count(n.state) : n.rightSides.length
+    );
+    let r = random() * weights.reduce((a, b) => a + b, 0);
+    let i = weights.findIndex((w) => (r -= w) < 0);
+    if (i < 0) i = weights.findLastIndex((w) => w > 0);
+
+    expr += next[i].ch;
+    if (next[i].rightSides) {
+      const { rightSides } = next[i];
+      return expr + rightSides[Math.floor(random() * rightSides.length)];
+    }
+    state = next[i].state;
+  }
+}
+
+/**
+ * 按种子随机抽取符合历史的候选（最多 maxResults 个），避免按搜索顺序取前 N 个时结果都长得差不多
+ * 依次尝试三种方法：
+ *   memo：计数模型（见 createCountModel）在预算内算完时，每步按子状态的候选数加权选择，精确均匀
+ *   enumerate：完整枚举在节点预算内跑完时，用加权蓄水池抽样，同样精确
+ *   walk：空间太大时做随机探测（见 randomProbe），按到达概率的倒数给命中的候选加权后抽样，
+ *     近似均匀，只会抽到探测命中过的候选
+ * 非均匀权重（sample.weight）在 memo 中用拒绝抽样实现，其余两种方法直接并入抽样的键
+ * @param {Object} constraints - 约束对象
+ * @param {Object} options - solve 的配置，另加 maxResults（样本量）
+ * @param {Object} [options.sample] - {seed, weight}：整数种子，权重名（见 SAMPLE_WEIGHTS）
+ * @returns {Promise<Object>} {results, complete, count}：results 按抽中的先后排列，
+ *   complete 表示样本已包含全部候选，count 为候选总数 {count, exact, method}
+ */
+async function sampleCandidates(constraints, options) {
+  const {
+    maxResults = 200,
+    sample = {},
+    signal = null,
+    onProgress = null,
+  } = options;
+  const random = createRandom(sample.seed ?? 1);
+  const weightOf = SAMPLE_WEIGHTS[sample.weight] || SAMPLE_WEIGHTS.uniform;
+  const startTime = Date.now();
 
-    const constraints = buildConstraintsFromGuesses(
-      targetGuesses,
-      options.length
+  function finish(results, complete, count) {
+    console.log(
+      `抽样完成（${count.method}）: ${results.length} 个，用时 ${
+        Date.now() - startTime
+      }ms`
     );
-    console.log("  约束:", constraints);
+    if (onProgress) {
+      results.forEach((expr, i) =>
+        onProgress({ found: i + 1, explored: 0, current: expr, newResult: expr })
+      );
+    }
+    return {
+      results,
+      complete,
+      count: { ...count, elapsed: Date.now() - startTime },
+    };
+  }
+
+  // 按键从大到小保留前 maxResults 个
+  function keepTop(keyed) {
+    return keyed.sort((a, b) => b.key - a.key).slice(0, maxResults);
+  }
+  const exprsOf = (keyed) => keepTop(keyed).map(({ expr }) => expr);
+
+  // 分段计数，期间让出控制权以便响应取消；预算按调用次数计，分段不影响结果
+  const model = createCountModel(constraints, {
+    ...options,
+    callBudget: SAMPLE_COUNT_CALLS,
+  });
+  const total = model ? await countModelInSlices(model, { signal }) : 0;
+
+  if (model && !model.timedOut() && Number.isSafeInteger(total)) {
+    const count = { count: total, exact: true, method: "memo" };
+
+    // 候选不比样本多时全部列出，只打乱顺序
+    if (total <= maxResults) {
+      const keyed = [];
+      for await (const expr of solve(constraints, options)) {
+        keyed.push({ expr, key: sampleKey(weightOf(expr), random) });
+      }
+      return finish(exprsOf(keyed), !(signal && signal.aborted), count);
+    }
+
+    // 逐个抽取：抽到重复的重抽，按权重决定是否接受
+    const chosen = new Set();
+    let lastYieldTime = Date.now();
+    for (
+      let attempts = 0;
+      chosen.size < maxResults && attempts < maxResults * SAMPLE_MAX_ATTEMPTS;
+      attempts++
+    ) {
+      if (Date.now() - lastYieldTime > SOLVE_YIELD_INTERVAL) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        lastYieldTime = Date.now();
+      }
+      if (signal && signal.aborted) break;
+      const expr = drawFromModel(model, random);
+      if (chosen.has(expr) || random() >= weightOf(expr)) continue;
+      chosen.add(expr);
+    }
+    return finish([...chosen], false, count);
+  }
+
+  // 枚举：蓄水池中保留键最大的 maxResults 个
+  const search = solve(constraints, {
+    ...options,
+    maxNodes: SAMPLE_ENUMERATE_NODES,
+  });
+  let reservoir = [];
+  for await (const expr of search) {
+    reservoir.push({ expr, key: sampleKey(weightOf(expr), random) });
+    if (reservoir.length > maxResults * 2) reservoir = keepTop(reservoir);
+  }
+  if (!search.stats.timedOut || (signal && signal.aborted)) {
+    const found = search.stats.found;
+    return finish(exprsOf(reservoir), found <= maxResults, {
+      count: found,
+      exact: !(signal && signal.aborted),
+      method: "enumerate",
+    });
+  }
 
-    const candidates = generateCandidates(constraints, options);
-    console.log(`  找到 ${candidates.length} 个候选`);
+  // 随机探测：同一候选被多次命中时权重累加，总权重的期望对每个候选都相同
+  const context = createSearchContext(constraints, options);
+  const weights = new Map();
+  let lastYieldTime = Date.now();
+  for (let probes = 0; probes < SAMPLE_WALKS; probes++) {
+    if (Date.now() - lastYieldTime > SOLVE_YIELD_INTERVAL) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      lastYieldTime = Date.now();
+      if (signal && signal.aborted) break;
+      if (onProgress) {
+        onProgress({ found: weights.size, explored: probes, current: "" });
+      }
+    }
 
-    results.push(candidates);
+    const { leaf, weight } = randomProbe(context, random);
+    if (leaf) weights.set(leaf, (weights.get(leaf) || 0) + weight);
   }
 
-  return results;
+  const keyed = [...weights].map(([expr, weight]) => ({
+    expr,
+    key: sampleKey(weight * weightOf(expr), random),
+  }));
+  return finish(exprsOf(keyed), false, {
+    count: weights.size,
+    exact: false,
+    method: "walk",
+  });
 }